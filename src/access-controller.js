@@ -0,0 +1,72 @@
+/**
+ * WeSense OrbitDB access controller.
+ *
+ * Wraps IPFSAccessController({ write: ["*"] }) rather than registering a
+ * new access controller type. The wrapped controller's type ("ipfs") and
+ * manifest address are reused unchanged, so database addresses stay
+ * exactly what they were — stations running older builds keep
+ * replicating with us.
+ *
+ * On top of the open-write identity check, every entry — local writes and
+ * entries arriving through replication alike — is passed to an
+ * application-level `validate(entry)` hook (see validation.js). This is
+ * where signatures and document schema are enforced; an HTTP-only check
+ * would let any peer on the mesh replicate arbitrary documents in. The
+ * hook also gets the entry's writer — the OrbitDB identity whose key
+ * signed it — to authorise deletions, which carry nothing to sign.
+ *
+ * Identity blocks that can't be loaded are tolerated: old oplog entries
+ * created before the helia-compat.js fix have identity blocks that were
+ * corrupted by helia v6's streaming blockstore. These entries replicate
+ * forever between peers, and every verification attempt triggers a
+ * LoadBlockFailedError. With write: ["*"] the identity check adds nothing
+ * beyond "is this a well-formed identity", so such entries go straight to
+ * the application validator instead of erroring.
+ */
+
+import { IPFSAccessController } from "@orbitdb/core";
+
+const TOLERATED_IDENTITY_ERRORS = [
+  "Failed to load block",
+  "Want was aborted",
+  "CBOR decode error",
+  "permanently blacklisted",
+];
+
+/**
+ * @param {{validate: (entry: object, writer: () => Promise<object|null>) => Promise<boolean>}} options
+ * @returns {Function} access controller factory for orbitdb.open()
+ */
+export const WeSenseAccessController = ({ validate }) => async (params) => {
+  const base = await IPFSAccessController({ write: ["*"] })(params);
+  const identities = params.identities ?? params.orbitdb?.identities;
+
+  // The log verifies the entry signature against entry.key, and the base
+  // controller verifies the identity; only their pairing proves who wrote
+  // the entry. Null when the identity can't be loaded or doesn't match.
+  const writerOf = async (entry) => {
+    try {
+      const identity = await identities.getIdentity(entry.identity);
+      if (!identity || identity.publicKey !== entry.key) return null;
+      return (await identities.verifyIdentity(identity)) ? identity : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const canAppend = async (entry) => {
+    try {
+      if (!(await base.canAppend(entry))) return false;
+    } catch (err) {
+      const msg = err?.message || "";
+      if (!TOLERATED_IDENTITY_ERRORS.some((pattern) => msg.includes(pattern))) {
+        throw err;
+      }
+    }
+    return validate(entry, () => writerOf(entry));
+  };
+
+  return { ...base, canAppend };
+};
+
+WeSenseAccessController.type = IPFSAccessController.type;
@@ -0,0 +1,179 @@
+/**
+ * Period-sharded attestation databases.
+ *
+ * Archive attestations are written to one small Documents database per
+ * archive period (UTC month), named after it:
+ *
+ *   wesense.attestations.2026-10
+ *   wesense.attestations.2026-09
+ *   ...
+ *
+ * Only a window of recent periods is open — the current month plus the
+ * previous `window - 1`. rotate() opens a new period's database when the
+ * month turns and drops the one that falls out of the window, local oplog
+ * included, so a station only stores and replicates the periods it still
+ * serves. Widening ATTESTATION_PERIODS reopens a dropped period, which
+ * then replicates from peers that still have it. Periods that left the
+ * window while the station was down were never reopened to be dropped
+ * and stay on disk.
+ *
+ * Each shard's validator only accepts documents for its own period, whose
+ * attestations all verify, and no more than MAX_ARCHIVES_PER_PERIOD
+ * archives (validation.js), so a peer can't grow a closed period through
+ * an open one or an open one without bound. Shards carry no oplog TTL: an attestation must stay
+ * readable for as long as its period is open, and dropping the period
+ * bounds the disk it uses.
+ */
+
+import { documentsOptions } from "./databases.js";
+import { createEntryValidators, MAX_ARCHIVES_PER_PERIOD } from "./validation.js";
+
+export const PERIOD_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const SHARD_PREFIX = "wesense.attestations.";
+
+/**
+ * The archive period ("YYYY-MM", UTC) containing `time`.
+ */
+export function periodOf(time = Date.now()) {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * The `count` most recent periods at `now`, newest first.
+ */
+function windowPeriods(count, now) {
+  const date = new Date(now);
+  let year = date.getUTCFullYear();
+  let month = date.getUTCMonth();
+  const periods = [];
+  for (let i = 0; i < count; i++) {
+    periods.push(`${year}-${String(month + 1).padStart(2, "0")}`);
+    if (--month < 0) {
+      month = 11;
+      year--;
+    }
+  }
+  return periods;
+}
+
+/**
+ * Open the attestation shards for the current window.
+ *
+ * @param {import("@orbitdb/core").OrbitDB} orbitdb
+ * @param {{window: number, signatureMode: "enforce"|"log", getTrustDb: () => object,
+ *   governance?: object|null, authorities: Set<string>, deleteWriters: Set<string>,
+ *   onOpen?: (name: string, db: object) => void, onClose?: (name: string) => void}} options
+ *   governance, authorities — whose trust entries attestations are verified against
+ *   onOpen/onClose — called with "attestations.<period>" as shards open and close
+ */
+export async function openAttestationShards(orbitdb, {
+  window, signatureMode, getTrustDb, governance = null, authorities, deleteWriters, onOpen = () => {}, onClose = () => {},
+}) {
+  const validators = createEntryValidators({ getTrustDb, signatureMode, governance, authorities, deleteWriters });
+  const shards = new Map(); // period -> db
+  const archives = new Map(); // period -> ids in the shard, for the cap
+  let rotating = null;
+
+  const open = async (period) => {
+    const name = `${SHARD_PREFIX}${period}`;
+    const ids = new Set();
+    const db = await orbitdb.open(name, documentsOptions(validators.attestations(period, ids)));
+    // Entries loaded from disk don't pass the validator; count them in
+    for (const entry of await db.all()) ids.add(entry.key);
+    archives.set(period, ids);
+    // Same handling as the main databases in index.js — an unhandled sync
+    // error event would crash the process.
+    db.events.on("join", (peerId, heads) => {
+      console.log(`[attestations.${period}] Peer joined DB: ${peerId} (${heads?.length || 0} heads)`);
+    });
+    db.events.on("error", (err) => {
+      console.warn(`[attestations.${period}] Sync error (non-fatal): ${err.message}`);
+    });
+    shards.set(period, db);
+    onOpen(`attestations.${period}`, db);
+    console.log(`Attestation period ${period} opened: ${db.address}`);
+  };
+
+  const doRotate = async (now) => {
+    const wanted = windowPeriods(window, now);
+    for (const period of wanted) {
+      if (shards.has(period)) continue;
+      try {
+        await open(period);
+      } catch (err) {
+        console.warn(`Failed to open attestation period ${period}: ${err.message}`);
+      }
+    }
+    for (const [period, db] of shards) {
+      if (wanted.includes(period)) continue;
+      shards.delete(period);
+      archives.delete(period);
+      onClose(`attestations.${period}`);
+      try {
+        await db.drop();
+        await db.close();
+        console.log(`Attestation period ${period} dropped (outside the ${window}-period window)`);
+      } catch (err) {
+        console.warn(`Failed to drop attestation period ${period}: ${err.message}`);
+      }
+    }
+  };
+
+  const manager = {
+    window,
+
+    /** The period new attestations are written to by default. */
+    current(now = Date.now()) {
+      return periodOf(now);
+    },
+
+    /** The open database for `period`, or null if it is not open. */
+    get(period) {
+      return shards.get(period) ?? null;
+    },
+
+    /** Whether archive `id` exists in, or would still fit in, the open `period`. */
+    hasRoom(period, id) {
+      const ids = archives.get(period);
+      return Boolean(ids) && (ids.has(id) || ids.size < MAX_ARCHIVES_PER_PERIOD);
+    },
+
+    /** Open periods, newest first. */
+    periods() {
+      return [...shards.keys()].sort().reverse();
+    },
+
+    /** [period, db] pairs for the open periods, newest first. */
+    entries() {
+      return manager.periods().map((period) => [period, shards.get(period)]);
+    },
+
+    /**
+     * Open the periods that entered the window and close the ones that
+     * left it. Concurrent calls share one pass.
+     */
+    rotate(now = Date.now()) {
+      if (!rotating) {
+        rotating = doRotate(now).finally(() => {
+          rotating = null;
+        });
+      }
+      return rotating;
+    },
+
+    async close() {
+      if (rotating) await rotating;
+      for (const [period, db] of shards) {
+        shards.delete(period);
+        archives.delete(period);
+        onClose(`attestations.${period}`);
+        await db.close();
+      }
+    },
+  };
+
+  await manager.rotate();
+  return manager;
+}
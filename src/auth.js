@@ -0,0 +1,42 @@
+/**
+ * Bearer-token check shared by the operator-only routes (routes/admin.js,
+ * trust list changes in routes/trust.js, node and store deletion), all
+ * keyed on ADMIN_TOKEN.
+ */
+
+import { createHash, timingSafeEqual } from "node:crypto";
+
+const digest = (value) => createHash("sha256").update(value).digest();
+
+/**
+ * Whether the request carries `Authorization: Bearer <token>`. Always
+ * false when no token is configured.
+ *
+ * @param {import("express").Request} req
+ * @param {string} token
+ */
+export function hasBearerToken(req, token) {
+  if (!token) return false;
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  // Compare digests so the check takes the same time for any input
+  return Boolean(match) && timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Middleware for an operator-only route: 403 with `disabled` as the error
+ * when no token is configured, 401 without the bearer token.
+ *
+ * @param {string} token
+ * @param {string} disabled - error message while the route is disabled
+ */
+export function requireBearerToken(token, disabled) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(403).json({ error: disabled });
+    }
+    if (!hasBearerToken(req, token)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  };
+}
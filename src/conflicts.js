@@ -0,0 +1,114 @@
+/**
+ * Background detection of concurrent writes to the same document id.
+ *
+ * The Documents store resolves concurrent PUTs to one _id by log order, so
+ * when two stations (say storage-broker and an ingester) write the same
+ * node before syncing, one update silently wins. After a database sees
+ * updates, the monitor re-checks the recent part of its oplog with
+ * findConflicts() (oplog.js) and keeps, per database, the ids that have
+ * losing versions:
+ *
+ *   - a newly conflicted id (or one that gained losing versions) is logged
+ *     as a warning, naming the writers involved
+ *   - count(db, id) lets routers flag the id in their responses
+ *   - stats() is the metric reported on /health
+ *
+ * Flags reflect the last check, so they trail new writes by up to one
+ * interval. GET /<db>/:id/conflicts reads the oplog directly and returns
+ * the losing versions themselves.
+ */
+
+import { findConflicts } from "./oplog.js";
+
+const DEFAULT_INTERVAL_MS = 5 * 60_000;
+const DEFAULT_WALK_LIMIT = 20_000;
+
+/**
+ * @param {Object<string, object>} dbs - Documents databases by name
+ * @param {{intervalMs?: number, walkLimit?: number}} [options]
+ *   walkLimit — newest oplog entries checked per database
+ */
+export function createConflictMonitor(dbs, { intervalMs = DEFAULT_INTERVAL_MS, walkLimit = DEFAULT_WALK_LIMIT } = {}) {
+  const state = {}; // name -> { ids: Map<id, losing count>, detected, checkedAt, truncated }
+  const dirty = new Set(Object.keys(dbs));
+  let timer = null;
+  let checking = null;
+
+  for (const [name, db] of Object.entries(dbs)) {
+    state[name] = { ids: new Map(), detected: 0, checkedAt: null, truncated: false };
+    db.events.on("update", () => dirty.add(name));
+  }
+
+  const check = async (name) => {
+    const { conflicts, truncated } = await findConflicts(dbs[name], { walkLimit });
+    const s = state[name];
+    const ids = new Map();
+    for (const [id, { winner, losing }] of conflicts) {
+      ids.set(id, losing.length);
+      if (losing.length <= (s.ids.get(id) ?? 0)) continue;
+      s.detected += losing.length - (s.ids.get(id) ?? 0);
+      const writers = [...new Set(losing.map((entry) => entry.clock.id))];
+      console.warn(
+        `[${name}] Concurrent writes to ${id}: ${losing.length} losing version(s) from ` +
+        `${writers.join(", ")}; serving ${winner.hash} from ${winner.clock.id}`
+      );
+    }
+    s.ids = ids;
+    s.checkedAt = new Date().toISOString();
+    s.truncated = truncated;
+  };
+
+  const checkDirty = async () => {
+    for (const name of [...dirty]) {
+      dirty.delete(name);
+      try {
+        await check(name);
+      } catch (err) {
+        console.warn(`[${name}] Conflict check failed: ${err.message}`);
+      }
+    }
+  };
+
+  const monitor = {
+    start() {
+      timer ??= setInterval(() => monitor.checkNow(), intervalMs);
+      return monitor.checkNow();
+    },
+
+    /** Check the databases updated since their last check. Concurrent calls share one pass. */
+    checkNow() {
+      if (!checking) {
+        checking = checkDirty().finally(() => {
+          checking = null;
+        });
+      }
+      return checking;
+    },
+
+    /** Losing versions found for `id` in database `name` at the last check (0 if none). */
+    count(name, id) {
+      return state[name]?.ids.get(id) ?? 0;
+    },
+
+    /** Per database: conflicted ids now, losing versions detected since start, last check. */
+    stats() {
+      const out = {};
+      for (const [name, s] of Object.entries(state)) {
+        out[name] = {
+          conflicted_ids: s.ids.size,
+          losing_versions: [...s.ids.values()].reduce((a, b) => a + b, 0),
+          detected_total: s.detected,
+          checked_at: s.checkedAt,
+          truncated: s.truncated,
+        };
+      }
+      return out;
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+  return monitor;
+}
@@ -0,0 +1,243 @@
+/**
+ * Verified consensus over archive attestations.
+ *
+ * An attestation counts only if its signature verifies against the
+ * attester's key in wesense.trust, over attestationStatement() in
+ * signing.js. Valid attesters are then grouped — by the `operator` on
+ * their trust entry (default; an entry without one is its own operator)
+ * or by ingester — and each group counts once, with its policy weight.
+ * Consensus is reached once the summed weight meets the policy threshold,
+ * so one operator running many ingester ids still counts once.
+ *
+ * Policies (CONSENSUS_POLICY_FILE, see index.js) select a threshold,
+ * grouping and weights per archive region:
+ *
+ *   { "default": { "threshold": 2 },
+ *     "regions": {
+ *       "nz/*":   { "threshold": 3, "weights": { "niwa": 2 } },
+ *       "nz/auk": { "threshold": 2, "group_by": "ingester" } } }
+ *
+ * The most specific matching region wins: an exact region, then a
+ * country wildcard, then "default". Weights are keyed by group (operator
+ * or ingester id) and default to 1.
+ *
+ * The signature covers the archive's region, blake3 hash and path and
+ * the attestation's `attested_at` (attestationStatement() in signing.js),
+ * so the region — and with it the policy — can't be swapped after signing.
+ * A key is judged as of `attested_at`, so a later rotation doesn't void
+ * past attestations — but a revoked key voids all of them.
+ *
+ * Attesters and operators come from wesense.trust, so an ingester only
+ * counts if its trust entry carries valid authority proof (a
+ * TRUST_AUTHORITIES signature, or the governance quorum's approval; see
+ * trust-entry.js) — whatever SIGNATURE_MODE let into the database.
+ * Otherwise anyone could register ingesters, or name their own operator,
+ * and attest as many times as they liked.
+ */
+
+import { attestationStatement, effectiveKeyStatus, isKeyUsable, verifyEd25519 } from "./signing.js";
+import { scopeMatchesRegion } from "./regions.js";
+import { checkTrustAuthority } from "./trust-entry.js";
+import { checkApprovalRecord } from "./governance.js";
+
+export const GROUP_BY = ["operator", "ingester"];
+
+const REGION_RE = /^[a-z]{2}(?:\/(?:[a-z0-9]{1,3}|\*))?$/;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function parsePolicy(value, where, fallback) {
+  if (!isPlainObject(value)) throw new Error(`${where} must be an object`);
+  const policy = { threshold: fallback.threshold, group_by: fallback.group_by, weights: {} };
+  if (value.threshold !== undefined) {
+    if (typeof value.threshold !== "number" || !(value.threshold > 0)) {
+      throw new Error(`${where}.threshold must be a positive number`);
+    }
+    policy.threshold = value.threshold;
+  }
+  if (value.group_by !== undefined) {
+    if (!GROUP_BY.includes(value.group_by)) throw new Error(`${where}.group_by must be one of ${GROUP_BY.join(", ")}`);
+    policy.group_by = value.group_by;
+  }
+  if (value.weights !== undefined) {
+    if (!isPlainObject(value.weights)) throw new Error(`${where}.weights must be an object`);
+    for (const [group, weight] of Object.entries(value.weights)) {
+      if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`${where}.weights.${group} must be a non-negative number`);
+      }
+      policy.weights[group] = weight;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Validate a consensus policy config. Throws on the first problem.
+ *
+ * @param {object|null} config - parsed CONSENSUS_POLICY_FILE, or null
+ * @param {{defaultThreshold: number}} options - CONSENSUS_THRESHOLD
+ * @returns {{default: object, regions: Map<string, object>}}
+ */
+export function parseConsensusPolicies(config, { defaultThreshold }) {
+  const base = { threshold: defaultThreshold, group_by: "operator" };
+  if (config === null || config === undefined) {
+    return { default: { ...base, weights: {} }, regions: new Map() };
+  }
+  if (!isPlainObject(config)) throw new Error("consensus policy config must be an object");
+  const defaultPolicy = config.default === undefined
+    ? { ...base, weights: {} }
+    : parsePolicy(config.default, "default", base);
+  const regions = new Map();
+  if (config.regions !== undefined) {
+    if (!isPlainObject(config.regions)) throw new Error("regions must be an object");
+    for (const [scope, value] of Object.entries(config.regions)) {
+      const key = scope.toLowerCase();
+      if (!REGION_RE.test(key)) throw new Error(`regions: invalid region "${scope}"`);
+      regions.set(key, parsePolicy(value, `regions.${scope}`, defaultPolicy));
+    }
+  }
+  return { default: defaultPolicy, regions };
+}
+
+/**
+ * The policy for an archive region (e.g. "nz/auk"), with the scope that
+ * selected it ("default" if none matched).
+ */
+export function policyForRegion(policies, region) {
+  const query = typeof region === "string" ? region.toLowerCase() : null;
+  if (query) {
+    if (policies.regions.has(query)) return { scope: query, ...policies.regions.get(query) };
+    for (const [scope, policy] of policies.regions) {
+      if (scopeMatchesRegion(scope, query)) return { scope, ...policy };
+    }
+  }
+  return { scope: "default", ...policies.default };
+}
+
+/**
+ * Whether `region` is a valid archive region ("nz" or "nz/auk").
+ */
+export function isArchiveRegion(region) {
+  return typeof region === "string" && REGION_RE.test(region.toLowerCase()) && !region.endsWith("*");
+}
+
+/**
+ * Look up and cache trust entries for consensus, keeping only those with
+ * valid authority proof. With no authorities and no governance nothing
+ * has one, so no attestation counts (index.js logs this at startup).
+ *
+ * @param {object} trustDb - OrbitDB Documents database
+ * @param {{governance?: object|null, authorities: Set<string>}} authority - as for checkTrust() (validation.js)
+ * @returns {(id: string) => Promise<{entry: object|null, reason: string|null}>}
+ */
+export function createTrustLookup(trustDb, { governance = null, authorities }) {
+  const cache = new Map();
+  return (id) => {
+    if (!cache.has(id)) {
+      cache.set(id, (async () => {
+        const existing = await trustDb.get(id);
+        const entry = existing && existing.length > 0 ? existing[0].value : null;
+        if (!entry?.versions) return { entry: null, reason: "unknown ingester_id" };
+        const reason = governance
+          ? checkApprovalRecord(entry, governance)
+          : await checkTrustAuthority(entry, authorities);
+        return reason ? { entry: null, reason: `trust entry not authorised: ${reason}` } : { entry, reason: null };
+      })());
+    }
+    return cache.get(id);
+  };
+}
+
+/**
+ * Check one attestation on an attestation document: signed by a key that
+ * was usable at its `attested_at`, over the document's archive fields.
+ *
+ * @param {(id: string) => Promise<{entry: object|null, reason: string|null}>} lookup - from createTrustLookup()
+ * @returns {Promise<{entry: object|null, reason: string|null}>} the attester's trust entry, or why it doesn't count
+ */
+export async function verifyAttestation(lookup, doc, attestation, now = Date.now()) {
+  const fail = (reason) => ({ entry: null, reason });
+  const { ingester_id, key_version, signature, attested_at } = attestation;
+  if (!signature) return fail("missing signature");
+  if (key_version === undefined || key_version === null) return fail("missing key_version");
+
+  const { entry, reason } = await lookup(ingester_id);
+  if (!entry) return fail(reason);
+  const key = entry.versions[String(key_version)];
+  if (!key) return fail(`unknown key_version ${key_version}`);
+  const attestedAt = new Date(attested_at).getTime();
+  if (typeof attested_at !== "string" || !Number.isFinite(attestedAt) || attestedAt > now) {
+    return fail("invalid attested_at");
+  }
+  if (!isKeyUsable(key, attestedAt)) {
+    const status = effectiveKeyStatus(key, attestedAt);
+    return fail(status === "revoked"
+      ? `key_version ${key_version} is revoked`
+      : `key_version ${key_version} was ${status} at attested_at`);
+  }
+  const statement = attestationStatement({
+    manifest_hash: doc.manifest_hash,
+    ingester_id,
+    key_version,
+    region: doc.region,
+    iroh_blake3_hash: doc.iroh_blake3_hash,
+    path: doc.path,
+    attested_at,
+  });
+  if (!verifyEd25519(key.public_key, statement, signature)) return fail("invalid signature");
+  return { entry, reason: null };
+}
+
+/**
+ * Evaluate consensus for an attestation document under `policy`.
+ *
+ * @param {(id: string) => Promise<{entry: object|null, reason: string|null}>} lookup - from createTrustLookup()
+ * @param {object} doc - attestation document (routes/attestations.js)
+ * @param {{threshold: number, group_by: string, weights: object}} policy
+ * @returns {Promise<{attesters: string[], groups: Array<{group: string, attesters: string[], weight: number}>,
+ *   weight: number, consensus_reached: boolean, rejected: Array<{ingester_id: string|null, reason: string}>}>}
+ */
+export async function evaluateConsensus(lookup, doc, policy, now = Date.now()) {
+  const attesters = [];
+  const groups = new Map(); // group -> attester ids
+  const rejected = [];
+  const seen = new Set();
+
+  for (const attestation of Array.isArray(doc.attestations) ? doc.attestations : []) {
+    const ingester_id = typeof attestation?.ingester_id === "string" ? attestation.ingester_id : null;
+    const reject = (reason) => rejected.push({ ingester_id, reason });
+    if (!ingester_id) {
+      reject("missing ingester_id");
+      continue;
+    }
+    if (seen.has(ingester_id)) {
+      reject("duplicate attestation");
+      continue;
+    }
+    seen.add(ingester_id);
+    const { entry, reason } = await verifyAttestation(lookup, doc, attestation, now);
+    if (!entry) {
+      reject(reason);
+      continue;
+    }
+
+    attesters.push(ingester_id);
+    const group = policy.group_by === "ingester" ? ingester_id : entry.operator || ingester_id;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(ingester_id);
+  }
+
+  const counted = [...groups].map(([group, ids]) => ({
+    group,
+    attesters: ids,
+    weight: policy.weights[group] ?? 1,
+  }));
+  const weight = counted.reduce((sum, g) => sum + g.weight, 0);
+  return {
+    attesters,
+    groups: counted,
+    weight,
+    consensus_reached: weight >= policy.threshold,
+    rejected,
+  };
+}
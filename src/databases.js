@@ -11,39 +11,88 @@
  * gets the same database address — automatic replication, zero config.
  *
  * Write security is handled at the application layer via Ed25519
- * ingester signing keys, not at the OrbitDB access control layer.
+ * ingester signing keys (see signing.js). WeSenseAccessController wraps
+ * the open-write controller without changing its address and runs the
+ * validators from validation.js on every entry, including replicated ones.
  *
- * Note: wesense.attestations was removed — attestations grew unbounded
- * (4,888+ entries), causing OrbitDB sync timeouts and memory leaks.
- * Archive discovery now uses peer-to-peer path index exchange via the
- * archive replicator. See IrohPlan.md Phase 3.
+ * Note: the single wesense.attestations database was removed — attestations
+ * grew unbounded (4,888+ entries), causing OrbitDB sync timeouts and memory
+ * leaks. Attestations now live in one small database per archive period,
+ * of which only a recent window is open (see attestation-shards.js).
+ * Archive discovery uses peer-to-peer path index exchange via the archive
+ * replicator. See IrohPlan.md Phase 3.
  */
 
-import { IPFSAccessController } from "@orbitdb/core";
+import { WeSenseAccessController } from "./access-controller.js";
+import { createEntryValidators } from "./validation.js";
+import { OPLOG_TTL_MS } from "./oplog.js";
+
+/**
+ * Open options for a WeSense Documents database whose entries are checked
+ * by `validate` (see validation.js).
+ *
+ * @param {(entry: object) => Promise<boolean>} validate
+ * @param {{ttl?: number}} [extra] - further OrbitDB open options
+ */
+export function documentsOptions(validate, extra = {}) {
+  return {
+    type: "documents",
+    AccessController: WeSenseAccessController({ validate }),
+    ...extra,
+  };
+}
+
+// Database names by key, in open order — node signatures are checked
+// against wesense.trust, so trust comes first.
+export const DATABASE_NAMES = {
+  trust: "wesense.trust",
+  nodes: "wesense.nodes",
+  stores: "wesense.stores",
+};
 
 /**
  * Open (or create) the WeSense OrbitDB databases.
  *
  * @param {import("@orbitdb/core").OrbitDB} orbitdb
- * @returns {Promise<{nodes: object, trust: object, stores: object}>}
+ * @param {{signatureMode: "enforce"|"log", governance?: object|null,
+ *   authorities: Set<string>, deleteWriters: Set<string>,
+ *   only?: string[]|null, getTrustDb?: (() => object)|null}} options
+ *   authorities, deleteWriters — see createEntryValidators() in validation.js
+ *   only — open just these keys of DATABASE_NAMES (re-opening one database
+ *   from the admin API)
+ *   getTrustDb — supplies wesense.trust to the nodes validator, ahead of
+ *   the instance opened here; pass the stable handle (db-handles.js) so the
+ *   validator follows trust when it is re-opened later. Until it returns
+ *   something, the trust opened here is used.
+ * @returns {Promise<{nodes?: object, trust?: object, stores?: object}>}
  */
-export async function openDatabases(orbitdb) {
+export async function openDatabases(orbitdb, {
+  signatureMode, governance = null, authorities, deleteWriters, only = null, getTrustDb = null,
+}) {
   // TTL: 30 days — oplog entries older than this are filtered during reads
   // and not sent to peers during sync. This prevents orphaned entries from
   // accumulating indefinitely. These databases hold current state (node
   // registry, trust list, store scopes) where only recent entries matter.
   // Call db.log.compact() periodically to reclaim storage from expired entries.
-  const TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+  // Point-in-time reads (oplog.js) can't reach further back than this.
+  const TTL_MS = OPLOG_TTL_MS;
 
-  const opts = {
-    type: "documents",
-    AccessController: IPFSAccessController({ write: ["*"] }),
-    ttl: TTL_MS,
-  };
+  // Node signatures are checked against wesense.trust, so trust is opened
+  // first and looked up lazily by the nodes validator.
+  const dbs = {};
+  const validators = createEntryValidators({
+    getTrustDb: () => getTrustDb?.() ?? dbs.trust,
+    signatureMode,
+    governance,
+    authorities,
+    deleteWriters,
+  });
 
-  const nodes = await orbitdb.open("wesense.nodes", opts);
-  const trust = await orbitdb.open("wesense.trust", opts);
-  const stores = await orbitdb.open("wesense.stores", opts);
+  const opts = (validate) => documentsOptions(validate, { ttl: TTL_MS });
 
-  return { nodes, trust, stores };
+  for (const [key, name] of Object.entries(DATABASE_NAMES)) {
+    if (only && !only.includes(key)) continue;
+    dbs[key] = await orbitdb.open(name, opts(validators[key]));
+  }
+  return dbs;
 }
@@ -0,0 +1,86 @@
+/**
+ * Stable handles over re-openable databases.
+ *
+ * Routers, loops and event listeners are wired to a database once at
+ * startup. The admin API (routes/admin.js) can close and re-open a
+ * database, which yields a new OrbitDB instance; a handle lets everything
+ * wired to the old one carry on with the new one:
+ *
+ *   - property access (put, get, all, log, address, ...) goes to the
+ *     current instance
+ *   - `events` is a stable emitter that re-emits the current instance's
+ *     join, leave, update and error events, so listeners survive a swap
+ *
+ * lock(fn) holds writes (put, del) through the handle until fn is done,
+ * so none land on an instance that is about to be dropped; they then go
+ * to whatever instance is current. Reads made while a database is being
+ * re-opened reach the closed instance and fail; callers already handle
+ * database errors. Reads aren't held — validators read wesense.trust
+ * through its handle while it is being rebuilt.
+ */
+
+import { EventEmitter } from "node:events";
+
+const FORWARDED_EVENTS = ["join", "leave", "update", "error"];
+const LOCKED_METHODS = new Set(["put", "del"]);
+
+/**
+ * @param {object} db - OrbitDB database
+ * @returns {{handle: object, swap: (db: object) => void, current: () => object,
+ *   lock: (fn: () => Promise<any>) => Promise<any>}}
+ */
+export function createDatabaseHandle(db) {
+  const events = new EventEmitter();
+  let current = null;
+  let forwarders = null;
+  let locked = null; // settles when the running lock() is done
+
+  const attach = (next) => {
+    if (current) {
+      for (const [name, fn] of Object.entries(forwarders)) current.events.off(name, fn);
+      // A closed instance may still report a late sync error
+      current.events.on("error", () => {});
+    }
+    forwarders = {};
+    for (const name of FORWARDED_EVENTS) {
+      forwarders[name] = (...args) => {
+        // Nothing listening for errors must not crash the process
+        if (name === "error" && events.listenerCount("error") === 0) return;
+        events.emit(name, ...args);
+      };
+      next.events.on(name, forwarders[name]);
+    }
+    current = next;
+  };
+  attach(db);
+
+  const handle = new Proxy({}, {
+    get(_, prop) {
+      if (prop === "events") return events;
+      const value = current[prop];
+      if (typeof value !== "function") return value;
+      if (!LOCKED_METHODS.has(prop)) return value.bind(current);
+      return async (...args) => {
+        while (locked) await locked;
+        return current[prop](...args);
+      };
+    },
+    has(_, prop) {
+      return prop === "events" || prop in current;
+    },
+  });
+
+  const lock = async (fn) => {
+    while (locked) await locked;
+    let release;
+    locked = new Promise((resolve) => { release = resolve; });
+    try {
+      return await fn();
+    } finally {
+      locked = null;
+      release();
+    }
+  };
+
+  return { handle, swap: attach, current: () => current, lock };
+}
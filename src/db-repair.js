@@ -0,0 +1,238 @@
+/**
+ * Manual repair operations on a single database, for the admin API
+ * (routes/admin.js). Each reports progress through a `progress(message)`
+ * callback as it goes.
+ *
+ *   reopen        — close the database and open it again through
+ *                   openDatabases(), optionally dropping its local oplog
+ *                   first so it replicates fresh from peers (what the
+ *                   orphaned-heads check in index.js does at startup)
+ *   exchangeHeads — re-subscribe the database's sync, so peers run
+ *                   OrbitDB's head exchange with this station again, and
+ *                   wait for the requested peer's heads
+ *   check         — fold the whole oplog into documents and compare that
+ *                   with what the database currently serves; read-only
+ *   rebuild       — read every oplog entry, drop the database's local
+ *                   state (oplog, heads and the index of entries it
+ *                   holds), re-open it and join the entries back in, so
+ *                   the index and heads are re-derived from the log and
+ *                   every entry passes validation again; then check
+ *
+ * reopen and rebuild run under the handle's lock (db-handles.js), so HTTP
+ * writes wait rather than land on the instance being dropped.
+ * Re-opened databases are swapped into their stable handles
+ * (db-handles.js), so routers and listeners pick them up. A re-open that
+ * still fails after REOPEN_ATTEMPTS leaves the database closed; it is
+ * reported by down() (and on /health) until a later reopen succeeds.
+ */
+
+import { peerIdFromString } from "@libp2p/peer-id";
+import { DATABASE_NAMES, openDatabases } from "./databases.js";
+import { documentsAt, logEntries } from "./oplog.js";
+import { canonicalize } from "./signing.js";
+
+const DEFAULT_EXCHANGE_TIMEOUT_MS = 30_000;
+const MAX_LISTED_KEYS = 100;
+const REOPEN_ATTEMPTS = 3;
+const REOPEN_RETRY_MS = 5_000;
+
+/**
+ * @param {{orbitdb: object, libp2p: object, handles: Object<string, {handle: object, swap: Function, current: Function}>,
+ *   openOptions: object}} ctx
+ *   handles — createDatabaseHandle() results by DATABASE_NAMES key
+ *   openOptions — validation settings for openDatabases()
+ */
+export function createDatabaseRepair({ orbitdb, libp2p, handles, openOptions }) {
+  const down = new Map(); // name -> {since, error} for databases left closed by a failed re-open
+
+  const openOne = async (name, progress) => {
+    let lastErr;
+    for (let attempt = 1; attempt <= REOPEN_ATTEMPTS; attempt++) {
+      progress(`Re-opening ${DATABASE_NAMES[name]}` +
+        (attempt > 1 ? ` (attempt ${attempt} of ${REOPEN_ATTEMPTS})` : ""));
+      try {
+        // openOptions.getTrustDb reads trust through its handle
+        const reopened = await openDatabases(orbitdb, { ...openOptions, only: [name] });
+        return reopened[name];
+      } catch (err) {
+        lastErr = err;
+        progress(`Re-open failed: ${err.message}`);
+        if (attempt < REOPEN_ATTEMPTS) await new Promise((r) => setTimeout(r, REOPEN_RETRY_MS));
+      }
+    }
+    throw lastErr;
+  };
+
+  // reopen() without taking the lock, for callers that hold it
+  const reopenLocked = async (name, { drop = false } = {}, progress = () => {}) => {
+    const { current, swap } = handles[name];
+    const db = current();
+    const address = db.address.toString();
+    if (down.has(name)) {
+      // Closed by an earlier failed re-open; there is nothing to close or
+      // drop through the old instance.
+      if (drop) throw new Error(`${DATABASE_NAMES[name]} is closed — re-open it before dropping its oplog`);
+      progress(`${DATABASE_NAMES[name]} is already closed (${down.get(name).error})`);
+    } else {
+      progress(`Closing ${DATABASE_NAMES[name]} (${address})`);
+      if (drop) {
+        progress("Dropping the local oplog — the database will replicate fresh from peers");
+        await db.drop();
+      }
+      await db.close();
+    }
+
+    let reopened;
+    try {
+      reopened = await openOne(name, progress);
+    } catch (err) {
+      down.set(name, { since: new Date().toISOString(), error: err.message });
+      console.error(`[${name}] Re-open failed after ${REOPEN_ATTEMPTS} attempts — database is down:`, err);
+      throw new Error(`${DATABASE_NAMES[name]} could not be re-opened and is closed (${err.message}); run reopen again`);
+    }
+    down.delete(name);
+    swap(reopened);
+    const heads = await reopened.log.heads();
+    progress(`Re-opened with ${heads.length} heads`);
+    return { address: reopened.address.toString(), dropped: drop, heads: heads.map((h) => h.hash) };
+  };
+
+  const reopen = (name, options, progress) => handles[name].lock(() => reopenLocked(name, options, progress));
+
+  // OrbitDB's sync runs its head exchange with each peer it sees subscribe
+  // to the database's topic. Restarting our sync (stop() unsubscribes,
+  // start() subscribes again) announces a fresh subscription, so every
+  // peer on the topic — the requested one included — exchanges heads with
+  // us again through OrbitDB's own protocol.
+  const exchangeHeads = async (name, peer, progress = () => {}, timeoutMs = DEFAULT_EXCHANGE_TIMEOUT_MS) => {
+    if (down.has(name)) throw new Error(`${DATABASE_NAMES[name]} is closed — reopen it first`);
+    const db = handles[name].handle;
+    const peerId = peerIdFromString(peer);
+
+    if (libp2p.getConnections(peerId).length === 0) {
+      progress(`Dialing ${peer}`);
+      await libp2p.dial(peerId, { signal: AbortSignal.timeout(timeoutMs) });
+    }
+
+    let onJoin;
+    let timer;
+    const joined = new Promise((resolve, reject) => {
+      onJoin = (remote, heads) => {
+        if (String(remote) === peer) resolve(heads || []);
+      };
+      db.events.on("join", onJoin);
+      timer = setTimeout(
+        () => reject(new Error(`No head exchange with ${peer} within ${timeoutMs / 1000}s`)),
+        timeoutMs
+      );
+    });
+
+    progress(`Restarting sync to request a head exchange with ${peer}`);
+    let heads;
+    try {
+      await db.sync.stop();
+      await db.sync.start();
+      heads = await joined;
+    } finally {
+      clearTimeout(timer);
+      db.events.off("join", onJoin);
+    }
+    const missing = [];
+    for (const head of heads) {
+      if (!(await db.log.has(head.hash))) missing.push(head.hash);
+    }
+    progress(`Received ${heads.length} heads from ${peer}, ${missing.length} not yet in our log`);
+    return { peer, heads: heads.map((h) => h.hash), missing_heads: missing };
+  };
+
+  // Ids missing from, extra in, or differing in the served view compared
+  // with the oplog fold (both maps of _id -> doc)
+  const compare = (fromLog, served) => {
+    const missing = [];
+    const extra = [];
+    const differing = [];
+    for (const [id, doc] of fromLog) {
+      if (!served.has(id)) missing.push(id);
+      else if (canonicalize(served.get(id)) !== canonicalize(doc)) differing.push(id);
+    }
+    for (const id of served.keys()) {
+      if (!fromLog.has(id)) extra.push(id);
+    }
+    return { missing, extra, differing };
+  };
+
+  const servedDocuments = async (db) => new Map(
+    (await db.all())
+      .map((entry) => entry.value)
+      .filter((doc) => doc?._id && !doc._id.startsWith("__"))
+      .map((doc) => [doc._id, doc])
+  );
+
+  const check = async (name, progress = () => {}) => {
+    if (down.has(name)) throw new Error(`${DATABASE_NAMES[name]} is closed — reopen it first`);
+    const db = handles[name].handle;
+    progress("Walking the oplog");
+    const folded = await documentsAt(db, Infinity);
+    if (!folded) throw new Error("Oplog too large to check");
+    if (folded.busy) throw new Error("Too many point-in-time reads in progress — retry shortly");
+    const fromLog = new Map(folded.docs.map((doc) => [doc._id, doc]));
+
+    const { missing, extra, differing } = compare(fromLog, await servedDocuments(db));
+    const differences = missing.length + extra.length + differing.length;
+    progress(
+      `Oplog folds to ${fromLog.size} documents; served view is missing ${missing.length}, ` +
+      `has ${extra.length} extra and ${differing.length} differing`
+    );
+
+    const list = (keys) => keys.slice(0, MAX_LISTED_KEYS);
+    return {
+      documents: fromLog.size,
+      consistent: differences === 0,
+      missing: list(missing),
+      extra: list(extra),
+      differing: list(differing),
+    };
+  };
+
+  const rebuild = async (name, progress = () => {}) => {
+    if (down.has(name)) throw new Error(`${DATABASE_NAMES[name]} is closed — reopen it first`);
+    const { lock, current } = handles[name];
+    const rebuilt = await lock(async () => {
+      progress("Reading the oplog");
+      // Held in memory across the drop; bounded like a point-in-time read
+      const entries = await logEntries(current());
+      if (!entries) throw new Error("Oplog too large to rebuild");
+      progress(`Read ${entries.length} entries`);
+
+      await reopenLocked(name, { drop: true }, progress);
+      const db = current();
+      progress(`Joining ${entries.length} entries back into the log`);
+      let rejected = 0;
+      for (const entry of entries) {
+        try {
+          await db.log.joinEntry(entry);
+        } catch (err) {
+          // Refused by the access controller now, or built on one that was
+          rejected++;
+          if (rejected <= MAX_LISTED_KEYS) progress(`Entry ${entry.hash} not re-joined: ${err.message}`);
+        }
+      }
+      const heads = await db.log.heads();
+      progress(`Re-joined ${entries.length - rejected} of ${entries.length} entries; ${heads.length} heads`);
+      return { entries: entries.length, rejected, heads: heads.map((h) => h.hash) };
+    });
+    return { ...rebuilt, check: await check(name, progress) };
+  };
+
+  return {
+    reopen,
+    exchangeHeads,
+    check,
+    rebuild,
+
+    /** Databases left closed by a failed re-open: name -> {since, error}. */
+    down() {
+      return Object.fromEntries(down);
+    },
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * ETags and If-Match preconditions for document routes.
+ *
+ * A document's ETag is the hash of the OrbitDB entry that wrote its
+ * current value, so it changes on every write — ours or one replicated
+ * from another station. GET /<db>/:id returns it; PUT, PATCH and DELETE
+ * with `If-Match: "<etag>"` answer 412 if the document has changed since,
+ * and `If-Match: *` requires that it exists.
+ *
+ * This detects lost updates against what this station has seen. Writes
+ * from another station that haven't replicated here yet can still race —
+ * OrbitDB resolves those by last writer wins.
+ */
+
+/**
+ * @param {{hash: string}|null} entry - from db.get(id)
+ * @returns {string|null}
+ */
+export function entryEtag(entry) {
+  return entry ? `"${entry.hash}"` : null;
+}
+
+/**
+ * The current entry for `id` ({hash, key, value}), or null.
+ */
+export async function getDocumentEntry(db, id) {
+  const existing = await db.get(id);
+  return existing && existing.length > 0 ? existing[0] : null;
+}
+
+/**
+ * Evaluate the request's If-Match against the current entry. Sends the
+ * 412 response and returns false if the precondition fails.
+ */
+export function checkIfMatch(req, res, entry) {
+  const header = req.get("If-Match");
+  if (!header) return true;
+  const current = entryEtag(entry);
+  const tags = header.split(",").map((tag) => tag.trim());
+  // Strong comparison: weak validators (W/"...") never match
+  const matches = tags.includes("*") ? current !== null : current !== null && tags.includes(current);
+  if (matches) return true;
+  if (current) res.set("ETag", current);
+  res.status(412).json({ error: "Precondition failed — document has changed", etag: current });
+  return false;
+}
+
+/**
+ * Serialise async work per key, so an If-Match check and the write that
+ * follows it can't interleave with another request for the same document.
+ *
+ * @returns {(key: string, fn: () => Promise<T>) => Promise<T>}
+ */
+export function createKeyLock() {
+  const tails = new Map();
+  return async (key, fn) => {
+    const previous = tails.get(key) ?? Promise.resolve();
+    let release;
+    const done = new Promise((resolve) => { release = resolve; });
+    const tail = previous.then(() => done);
+    tails.set(key, tail);
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  };
+}
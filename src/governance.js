@@ -0,0 +1,161 @@
+/**
+ * M-of-N admin quorum for trust list mutations.
+ *
+ * Optional governance mode (TRUST_ADMIN_KEYS in index.js). When enabled,
+ * trust changes made over HTTP are not applied directly: they become
+ * pending proposal documents in wesense.trust (`_id` prefixed
+ * "__proposal__:") that replicate like any other entry. Each configured
+ * admin approves by signing proposalStatement() with their Ed25519 key;
+ * once `quorum` distinct admins have signed, the change is applied and the
+ * resulting trust entry carries the proposal and its approvals as an
+ * `approval` record, which peers re-verify (validation.js).
+ *
+ * A proposal carries the complete entry it would write (`document`) and
+ * the statement covers that entry's digest (trust-entry.js), so approvals
+ * can't be carried over to an entry with other key versions or statuses.
+ * It also covers the digest of the entry it was made against
+ * (`base_digest`): if the entry changes in the meantime, the proposal
+ * fails instead of overwriting the change.
+ *
+ * Proposals expire `proposalTtlMs` after they are made. Key rotation
+ * (POST /trust/:ingester_id/rotate) is not governed — it is already
+ * authorised by the ingester's own previous key, and the approval stays
+ * valid through it (authorizedBase() in trust-entry.js). Entries written
+ * before governance was enabled carry no approval and fail validation
+ * until a proposal for them is approved.
+ */
+
+import { createHash } from "node:crypto";
+import { canonicalize, verifyEd25519 } from "./signing.js";
+import { authorizedBase, trustEntryDigest } from "./trust-entry.js";
+
+export const PROPOSAL_PREFIX = "__proposal__:";
+
+// Trust list changes a proposal can make (TRUST_CHANGES in routes/trust.js)
+export const PROPOSAL_ACTIONS = ["put", "revoke", "revoke_version", "update_version"];
+
+/**
+ * Validate governance settings. Returns null when governance is disabled
+ * (no admin keys). Throws on an unsatisfiable quorum so a misconfigured
+ * station fails at startup rather than accepting nothing.
+ *
+ * @param {{adminKeys: string[], quorum: number, proposalTtlMs: number}} options
+ */
+export function createGovernance({ adminKeys, quorum, proposalTtlMs }) {
+  if (adminKeys.length === 0) return null;
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > adminKeys.length) {
+    throw new Error(`TRUST_ADMIN_QUORUM must be between 1 and ${adminKeys.length} (got ${quorum})`);
+  }
+  return { adminKeys: new Set(adminKeys), quorum, proposalTtlMs };
+}
+
+/**
+ * The statement each admin signs to approve a proposal.
+ */
+export function proposalStatement({
+  proposal_id, action, ingester_id, params, expires_at, document_digest, base_digest,
+}) {
+  return canonicalize({
+    type: "wesense.trust_proposal",
+    proposal_id,
+    action,
+    ingester_id,
+    params,
+    expires_at,
+    document_digest,
+    base_digest,
+  });
+}
+
+function proposalId({ action, ingester_id, params, proposed_at, document_digest }) {
+  return createHash("sha256")
+    .update(canonicalize({ action, ingester_id, params, proposed_at, document_digest }))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * Build a new pending proposal document.
+ *
+ * @param {{action: string, ingester_id: string, params: object, document: object, base: object|null}} change
+ *   document — the trust entry the change writes; base — the current entry
+ */
+export function newProposal({ action, ingester_id, params, document, base }, governance, now = new Date()) {
+  const proposed_at = now.toISOString();
+  const document_digest = trustEntryDigest(document);
+  const proposal_id = proposalId({ action, ingester_id, params, proposed_at, document_digest });
+  return {
+    _id: PROPOSAL_PREFIX + proposal_id,
+    type: "trust_proposal",
+    proposal_id,
+    action,
+    ingester_id,
+    params,
+    document,
+    document_digest,
+    base_digest: base ? trustEntryDigest(base) : null,
+    proposed_at,
+    expires_at: new Date(now.getTime() + governance.proposalTtlMs).toISOString(),
+    approvals: [],
+    status: "pending",
+  };
+}
+
+/**
+ * Distinct configured admins whose approval signature on `proposal` verifies.
+ *
+ * @returns {string[]} admin public keys
+ */
+export function validApprovers(proposal, governance) {
+  if (proposalId(proposal) !== proposal.proposal_id) return [];
+  const statement = proposalStatement(proposal);
+  const approvers = new Set();
+  for (const approval of proposal.approvals || []) {
+    if (!governance.adminKeys.has(approval?.admin_key)) continue;
+    if (verifyEd25519(approval.admin_key, statement, approval.signature)) {
+      approvers.add(approval.admin_key);
+    }
+  }
+  return [...approvers];
+}
+
+/**
+ * Status of a proposal at `now`: "pending", "applied", "failed" or "expired".
+ */
+export function proposalStatus(proposal, now = Date.now()) {
+  if (proposal.status !== "pending") return proposal.status;
+  return now < new Date(proposal.expires_at).getTime() ? "pending" : "expired";
+}
+
+/**
+ * The `approval` record written with an applied proposal. `custody_length`
+ * marks how much of the custody chain the admins approved; later links
+ * are rotations (see authorizedBase() in trust-entry.js).
+ */
+export function approvalRecord(proposal) {
+  const { proposal_id, action, params, proposed_at, expires_at, document_digest, base_digest, approvals } = proposal;
+  return {
+    proposal_id, action, params, proposed_at, expires_at, document_digest, base_digest, approvals,
+    custody_length: proposal.document.custody?.length ?? 0,
+  };
+}
+
+/**
+ * Check the `approval` record on a replicated trust entry: it must name
+ * this ingester, carry approvals from at least `quorum` admins, and the
+ * entry — less any rotations since — must be the document they approved.
+ * Returns a reason, or null.
+ */
+export function checkApprovalRecord(doc, governance) {
+  const record = doc.approval;
+  if (!record || typeof record !== "object") return "missing quorum approval";
+  const proposal = { ...record, ingester_id: doc.ingester_id };
+  const approvers = validApprovers(proposal, governance);
+  if (approvers.length < governance.quorum) {
+    return `approval has ${approvers.length} of ${governance.quorum} required admin signatures`;
+  }
+  const { base, error } = authorizedBase(doc, record.custody_length);
+  if (error) return error;
+  if (trustEntryDigest(base) !== record.document_digest) return "entry does not match the approved document";
+  return null;
+}
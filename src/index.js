@@ -47,11 +47,26 @@ import { existsSync, readFileSync } from "node:fs";
 import { createServer as createHttpsServer } from "node:https";
 
 import { openDatabases } from "./databases.js";
+import { openAttestationShards } from "./attestation-shards.js";
+import { parseConsensusPolicies } from "./consensus.js";
+import { announceHeads } from "./sync-nudge.js";
+import { createReplicationTracker } from "./replication-status.js";
+import { createConflictMonitor } from "./conflicts.js";
+import { createDatabaseHandle } from "./db-handles.js";
+import { createDatabaseRepair } from "./db-repair.js";
+import { createGovernance } from "./governance.js";
+import { createPresence } from "./presence.js";
+import { MERGE_PATCH_TYPES } from "./merge-patch.js";
+import { SERVICE_FIELDS, canonicalize, signedPayload } from "./signing.js";
 import { wrapHeliaForOrbitDB, setDiskFull, getBlacklistStats } from "./helia-compat.js";
 import { createNodesRouter } from "./routes/nodes.js";
 import { createTrustRouter } from "./routes/trust.js";
 import { createStoresRouter } from "./routes/stores.js";
 import { createHealthRouter } from "./routes/health.js";
+import { createEventsRouter } from "./routes/events.js";
+import { createAttestationsRouter } from "./routes/attestations.js";
+import { createReplicationRouter } from "./routes/replication.js";
+import { createAdminRouter } from "./routes/admin.js";
 
 // GC pause monitoring via perf_hooks (no NODE_OPTIONS flags required).
 // Logs any GC event longer than GC_PAUSE_WARN_MS so we can correlate with
@@ -236,6 +251,99 @@ const DATA_DIR = process.env.DATA_DIR || "./data";
 const ANNOUNCE_ADDRESS = process.env.ANNOUNCE_ADDRESS || "";
 const BOOTSTRAP_PEERS = process.env.ORBITDB_BOOTSTRAP_PEERS || "";
 const NODE_TTL_DAYS = parseInt(process.env.NODE_TTL_DAYS || "7", 10);
+// Nodes seen or re-registered within this window are reported as "recent"
+// rather than "stale" by GET /nodes (see presence.js).
+const NODE_RECENT_HOURS = parseInt(process.env.NODE_RECENT_HOURS || "24", 10);
+// Store registrations (wesense.stores) not refreshed or seen within this
+// window are removed, so GET /stores/replication only counts live stores.
+// Network presence is only remembered for NODE_TTL_DAYS, so a longer
+// STORE_TTL_DAYS relies on updated_at and linked node records beyond that.
+const STORE_TTL_DAYS = parseInt(process.env.STORE_TTL_DAYS || "7", 10);
+
+// Enforcement of signatures, trust authority, deletion rights and document
+// schema (see signing.js, trust-entry.js), applied to HTTP writes and to
+// entries arriving through replication (validation.js).
+//   enforce (default): failing writes are rejected — 403/409 on HTTP,
+//                      entry refused by the access controller
+//   log:               failures are logged and the write is accepted — opt
+//                      in only for the transition period below
+//
+// Any other value means enforce. Migrating a running mesh to enforce:
+//   1. On every station, set the same TRUST_AUTHORITIES (or
+//      TRUST_ADMIN_KEYS) and DELETE_WRITERS, with SIGNATURE_MODE=log.
+//   2. Re-sign the trust list: PUT each ingester's current key again on an
+//      authority station (or approve it again under governance).
+//   3. Roll out signing in the ingesters and storage-broker.
+//   4. Watch for "failed validation" warnings. Unsigned history only ages
+//      out with the 30-day oplog TTL, and with enforce a single rejected
+//      entry blocks every later entry from the same writer — drop
+//      SIGNATURE_MODE=log once the warnings have stopped for that long.
+const SIGNATURE_MODE = process.env.SIGNATURE_MODE === "log" ? "log" : "enforce";
+
+// Libp2p peer IDs of the stations whose signature makes a trust entry
+// authoritative (trust-entry.js), comma-separated. Only these stations can
+// change the trust list over HTTP when governance is off. Ignored under
+// governance, where the admin quorum approves entries instead.
+const TRUST_AUTHORITIES = new Set((process.env.TRUST_AUTHORITIES || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean));
+
+// OrbitDB identity ids (logged at startup) of the other stations whose
+// deletions are accepted, comma-separated. This station's own identity is
+// always allowed. Stations running the node/store cleanup loops or serving
+// DELETE need to be listed everywhere.
+const DELETE_WRITERS = (process.env.DELETE_WRITERS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Optional M-of-N admin quorum for trust list changes (see governance.js).
+// TRUST_ADMIN_KEYS is a comma-separated list of base64 Ed25519 admin public
+// keys; empty disables governance. TRUST_ADMIN_QUORUM defaults to a simple
+// majority. Every station must use the same keys — entries approved under
+// one admin set are rejected by stations configured with another.
+const TRUST_ADMIN_KEYS = (process.env.TRUST_ADMIN_KEYS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const TRUST_ADMIN_QUORUM = parseInt(
+  process.env.TRUST_ADMIN_QUORUM || String(Math.floor(TRUST_ADMIN_KEYS.length / 2) + 1),
+  10
+);
+const TRUST_PROPOSAL_TTL_HOURS = parseInt(process.env.TRUST_PROPOSAL_TTL_HOURS || "72", 10);
+
+// Archive attestations are sharded into one database per month
+// (wesense.attestations.YYYY-MM, see attestation-shards.js). This many
+// recent periods, including the current one, are kept open and replicated;
+// older periods are dropped from disk automatically when the month turns.
+const ATTESTATION_PERIODS = Math.max(1, parseInt(process.env.ATTESTATION_PERIODS || "3", 10) || 3);
+
+// Attestation consensus (see consensus.js): CONSENSUS_THRESHOLD is the
+// default weight of distinct, verified operators an archive needs. Only
+// ingesters whose trust entries an authority signed (TRUST_AUTHORITIES, or
+// the governance quorum) count — with neither configured (possible only
+// with SIGNATURE_MODE=log) no attestation counts and consensus is never
+// reached; startup logs an error then. CONSENSUS_POLICY_FILE optionally
+// points to a JSON file with per-region thresholds, grouping and operator
+// weights; a bad file stops startup.
+const CONSENSUS_THRESHOLD = parseInt(process.env.CONSENSUS_THRESHOLD || "2", 10);
+const CONSENSUS_POLICY_FILE = process.env.CONSENSUS_POLICY_FILE || "";
+
+// How often databases that saw updates are re-checked for concurrent writes
+// to the same document id (see conflicts.js)
+const CONFLICT_CHECK_MINUTES = Math.max(1, parseInt(process.env.CONFLICT_CHECK_MINUTES || "5", 10) || 5);
+
+// Bearer token for the admin repair API (/admin, see routes/admin.js), for
+// trust list changes (PUT/DELETE/PATCH /trust, see routes/trust.js) and
+// for DELETE /nodes/:id and /stores/:id. Unset disables all of them.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// Read-only replica (Tier 3 consumer stations): replicate and serve every
+// database, but never write to them — HTTP mutations answer 403, and
+// self-registration, node/store cleanup deletes and oplog compaction are
+// skipped. Head re-announcement (triggerSync) writes nothing and still runs.
+const READ_ONLY = process.env.READ_ONLY === "true";
 
 // libp2p's @libp2p/connection-monitor runs a /ipfs/ping/1.0.0 probe on every
 // connection at pingIntervalMs (default 10s). Two scale-relevant problems
@@ -299,6 +407,38 @@ function uint8ArrayEquals(a, b) {
 }
 
 async function main() {
+  const governance = createGovernance({
+    adminKeys: TRUST_ADMIN_KEYS,
+    quorum: TRUST_ADMIN_QUORUM,
+    proposalTtlMs: TRUST_PROPOSAL_TTL_HOURS * 60 * 60 * 1000,
+  });
+  if (governance) {
+    console.log(
+      `Trust governance enabled: ${governance.quorum} of ${governance.adminKeys.size} admins ` +
+      `(proposals expire after ${TRUST_PROPOSAL_TTL_HOURS}h)`
+    );
+  } else if (TRUST_AUTHORITIES.size > 0) {
+    console.log(`Trust authorities: ${[...TRUST_AUTHORITIES].join(", ")}`);
+  } else if (SIGNATURE_MODE === "enforce") {
+    // Nothing could sign a trust entry, so every one would be rejected
+    throw new Error("Enforcing signatures needs TRUST_AUTHORITIES or TRUST_ADMIN_KEYS (or SIGNATURE_MODE=log to migrate)");
+  } else {
+    console.warn("No TRUST_AUTHORITIES or TRUST_ADMIN_KEYS — trust entries can't be authenticated");
+    // consensus.js only counts attesters whose trust entry an authority signed
+    console.error(
+      "No trust root (TRUST_AUTHORITIES or TRUST_ADMIN_KEYS) — no attestation can count, " +
+      "so archive consensus will never be reached"
+    );
+  }
+
+  const consensusPolicies = parseConsensusPolicies(
+    CONSENSUS_POLICY_FILE ? JSON.parse(readFileSync(CONSENSUS_POLICY_FILE, "utf-8")) : null,
+    { defaultThreshold: CONSENSUS_THRESHOLD }
+  );
+  if (CONSENSUS_POLICY_FILE) {
+    console.log(`Consensus policies loaded from ${CONSENSUS_POLICY_FILE} (${consensusPolicies.regions.size} regions)`);
+  }
+
   // Ensure data directories exist
   await mkdir(`${DATA_DIR}/blockstore`, { recursive: true });
   await mkdir(`${DATA_DIR}/datastore`, { recursive: true });
@@ -597,20 +737,24 @@ async function main() {
   // timestamp the node wrote weeks ago.
   //
   // Local-only state: NOT replicated via OrbitDB. Each station maintains
-  // its own view of which peers it has personally seen.
-  const lastSeenPeers = new Map(); // peerId (string) -> last-seen timestamp (ms)
+  // its own view of which peers it has personally seen. GET /nodes reports
+  // the same view as each node's status (see presence.js).
+  const presence = createPresence({
+    ttlMs: NODE_TTL_DAYS * 24 * 60 * 60 * 1000,
+    recentMs: NODE_RECENT_HOURS * 60 * 60 * 1000,
+    selfPeerId: selfPeerId.toString(),
+  });
 
   // Log peer connections and disconnections; record contact for the
   // presence-aware cleanup logic below.
   helia.libp2p.addEventListener("peer:connect", (evt) => {
     const peerId = evt.detail.toString();
-    lastSeenPeers.set(peerId, Date.now());
+    presence.connect(peerId);
     console.log(`Peer connected: ${peerId}`);
   });
   helia.libp2p.addEventListener("peer:disconnect", (evt) => {
     const peerId = evt.detail.toString();
-    // Refresh on disconnect too — they were here right up until disconnect.
-    lastSeenPeers.set(peerId, Date.now());
+    presence.disconnect(peerId);
     console.log(`Peer disconnected: ${peerId}`);
   });
 
@@ -625,7 +769,23 @@ async function main() {
     directory: `${DATA_DIR}/orbitdb`,
   });
 
-  let dbs = await openDatabases(orbitdb);
+  // Stable handles by database name, filled once the databases are open
+  // (see below)
+  const dbHandles = {};
+
+  // Validation settings shared by every database open (databases.js). The
+  // nodes validator reads trust through its handle, so it keeps working
+  // after the admin API re-opens wesense.trust.
+  const openOptions = {
+    signatureMode: SIGNATURE_MODE,
+    governance,
+    authorities: TRUST_AUTHORITIES,
+    deleteWriters: new Set([orbitdb.identity.id, ...DELETE_WRITERS]),
+    getTrustDb: () => dbHandles.trust?.handle,
+  };
+  console.log(`OrbitDB identity: ${orbitdb.identity.id}`);
+
+  let dbs = await openDatabases(orbitdb, openOptions);
   console.log(`Databases opened — nodes: ${dbs.nodes.address}, trust: ${dbs.trust.address}`);
 
   // Self-healing: verify all oplog heads reference blocks that exist locally.
@@ -671,11 +831,34 @@ async function main() {
         }
       }
       // Re-open dropped databases
-      dbs = await openDatabases(orbitdb);
+      dbs = await openDatabases(orbitdb, openOptions);
       console.log("Databases re-opened after self-heal");
     }
   }
 
+  // From here on, everything uses stable handles so the admin API can
+  // re-open a database under the routers and listeners wired to it (see
+  // db-handles.js).
+  for (const [name, db] of Object.entries(dbs)) dbHandles[name] = createDatabaseHandle(db);
+  dbs = Object.fromEntries(Object.entries(dbHandles).map(([name, { handle }]) => [name, handle]));
+
+  // Per-peer replication status for GET /replication, fed by database
+  // events (see replication-status.js)
+  const replication = createReplicationTracker({ pubsub: helia.libp2p.services.pubsub });
+
+  const attestations = await openAttestationShards(orbitdb, {
+    window: ATTESTATION_PERIODS,
+    signatureMode: SIGNATURE_MODE,
+    getTrustDb: () => dbs.trust,
+    governance,
+    authorities: TRUST_AUTHORITIES,
+    deleteWriters: openOptions.deleteWriters,
+    onOpen: (name, db) => replication.watch(name, db),
+    onClose: (name) => replication.unwatch(name),
+  });
+  // Hourly is plenty to pick up the month boundary
+  setInterval(() => attestations.rotate(), 60 * 60_000);
+
   // Self-register this OrbitDB peer in wesense.nodes so other stations can
   // discover and dial us via the registry-driven dialer.
   //
@@ -702,16 +885,25 @@ async function main() {
   //
   // See wesense-general-docs Phase2Plan §4.4 for the registry-driven
   // dialer design and the discussion of why self-registration was missing.
-  if (ANNOUNCE_ADDRESS) {
+  if (READ_ONLY) {
+    console.log("READ_ONLY — skipping self-registration in wesense.nodes");
+  } else if (ANNOUNCE_ADDRESS) {
     try {
       const selfPeerId = helia.libp2p.peerId.toString();
-      await dbs.nodes.put({
+      const doc = {
         _id: selfPeerId,
         ingester_id: selfPeerId,
         announce_address: ANNOUNCE_ADDRESS,
         type: "orbitdb-peer",
         updated_at: new Date().toISOString(),
-      });
+      };
+      // Signed with the peer key so the access controller on every station
+      // can verify the record against the peer ID (see validation.js).
+      if (privateKey) {
+        const message = Buffer.from(canonicalize(signedPayload(doc, SERVICE_FIELDS)), "utf-8");
+        doc.signature = Buffer.from(await privateKey.sign(message)).toString("base64");
+      }
+      await dbs.nodes.put(doc);
       console.log(
         `Self-registered as orbitdb-peer in wesense.nodes ` +
         `(peer_id=${selfPeerId}, announce_address=${ANNOUNCE_ADDRESS})`
@@ -726,31 +918,6 @@ async function main() {
     );
   }
 
-  // Patch access controllers to tolerate missing identity blocks.
-  // Old oplog entries created before the helia-compat.js fix have identity
-  // blocks that were corrupted by helia v6's streaming blockstore. These
-  // entries replicate forever between peers, and every verification attempt
-  // triggers a LoadBlockFailedError. Since all databases use write: ["*"]
-  // (permissive access), identity verification is unnecessary — we accept
-  // unverifiable entries rather than erroring.
-  for (const [name, db] of Object.entries(dbs)) {
-    const origCanAppend = db.access.canAppend.bind(db.access);
-    db.access.canAppend = async (entry) => {
-      try {
-        return await origCanAppend(entry);
-      } catch (err) {
-        const msg = err?.message || "";
-        if (msg.includes("Failed to load block") ||
-            msg.includes("Want was aborted") ||
-            msg.includes("CBOR decode error") ||
-            msg.includes("permanently blacklisted")) {
-          return true; // accept entry — write: ["*"] permits all writers
-        }
-        throw err;
-      }
-    };
-  }
-
   // Gossipsub error logging — gossipsub@14 swallows stream creation errors
   // into debug-only logging (libp2p:gossipsub namespace). Monkey-patch the
   // log.error method to also write to console so we can see failures.
@@ -907,10 +1074,18 @@ async function main() {
     db.events.on("error", (err) => {
       console.warn(`[${name}] Sync error (non-fatal): ${err.message}`);
     });
+    replication.watch(name, db);
   }
 
-  // Replication trigger — when a WeSense peer connects, write a sync marker
-  // to force HEAD re-publication so the new peer gets current data.
+  // Concurrent writes to the same document id: logged, flagged in responses
+  // and counted on /health (see conflicts.js). The first check waits until
+  // startup replication has settled.
+  const conflicts = createConflictMonitor(dbs, { intervalMs: CONFLICT_CHECK_MINUTES * 60_000 });
+  setTimeout(() => conflicts.start(), 60_000);
+
+  // Replication trigger — when a WeSense peer connects, re-publish every
+  // database's current heads so the new peer gets current data. Nothing is
+  // written to the oplog (see sync-nudge.js).
   let lastSyncTrigger = 0;
   const SYNC_DEBOUNCE = 60_000;
 
@@ -926,19 +1101,20 @@ async function main() {
   };
 
   const triggerSync = async (reason) => {
-    try {
-      const marker = {
-        _id: "__sync__",
-        type: "replication_trigger",
-        peer_id: helia.libp2p.peerId.toString(),
-        timestamp: new Date().toISOString(),
-      };
-      await dbs.nodes.put(marker);
-      await dbs.trust.put(marker);
-      console.log(`Replication sync triggered (${reason})`);
-    } catch (err) {
-      console.warn(`Sync trigger error: ${err.message}`);
+    const targets = [
+      ...Object.entries(dbs),
+      ...attestations.entries().map(([period, db]) => [`attestations.${period}`, db]),
+    ];
+    let heads = 0;
+    for (const [name, db] of targets) {
+      try {
+        heads += await announceHeads(db);
+        replication.announced(name);
+      } catch (err) {
+        console.warn(`[${name}] Sync trigger error: ${err.message}`);
+      }
     }
+    console.log(`Replication sync triggered (${reason}): ${heads} heads re-announced across ${targets.length} databases`);
   };
 
   let syncPending = false;
@@ -1058,8 +1234,10 @@ async function main() {
     };
 
     // Compact once on startup (after 2 minutes to let sync settle), then daily
-    setTimeout(compactAll, 2 * 60_000);
-    setInterval(compactAll, 24 * 60 * 60_000);
+    if (!READ_ONLY) {
+      setTimeout(compactAll, 2 * 60_000);
+      setInterval(compactAll, 24 * 60 * 60_000);
+    }
   }
 
   // Node registry cleanup — remove entries we genuinely haven't heard from
@@ -1068,7 +1246,7 @@ async function main() {
   // "Heard from" = either:
   //   1. The entry's own updated_at is recent (the writer has refreshed it), OR
   //   2. The entry's ingester_id matches a peer we've seen on the libp2p
-  //      network within the TTL window (lastSeenPeers map).
+  //      network within the TTL window (presence, see presence.js).
   //
   // (1) covers data services like storage-broker / ingesters that
   // periodically rewrite their own records to keep them fresh. (2) covers
@@ -1083,27 +1261,18 @@ async function main() {
   // not "this node hasn't bothered to re-write its registration".
   const cleanupStaleNodes = async () => {
     try {
-      const cutoff = Date.now() - NODE_TTL_DAYS * 24 * 60 * 60 * 1000;
       const allEntries = await dbs.nodes.all();
       let removed = 0;
       let kept_via_presence = 0;
       for (const entry of allEntries) {
         const doc = entry.value;
         if (!doc || doc._id?.startsWith("__")) continue;
-        const updatedAt = doc.updated_at ? new Date(doc.updated_at).getTime() : 0;
-        if (updatedAt >= cutoff) continue; // (1) recent updated_at — keep
-
-        // (2) check whether we've seen this peer on the network recently.
-        // Applies primarily to orbitdb-peer entries (whose ingester_id is
-        // a libp2p peer ID), but the map lookup is safe for any value —
-        // non-peer ids simply won't be present in lastSeenPeers.
-        const candidatePeerId = doc.ingester_id;
-        if (candidatePeerId && lastSeenPeers.has(candidatePeerId)) {
-          const lastSeen = lastSeenPeers.get(candidatePeerId);
-          if (lastSeen >= cutoff) {
-            kept_via_presence++;
-            continue; // recently seen — keep entry alive
-          }
+        // (1) recent updated_at, or (2) this peer seen on the network
+        // recently. (2) applies primarily to orbitdb-peer entries (whose
+        // ingester_id is a libp2p peer ID); other ids never have presence.
+        if (!presence.isExpired(doc)) {
+          if (presence.keptByPresence(doc)) kept_via_presence++;
+          continue;
         }
 
         await dbs.nodes.del(doc._id);
@@ -1120,35 +1289,98 @@ async function main() {
       console.warn(`Node cleanup error: ${err.message}`);
     }
   };
-  setTimeout(cleanupStaleNodes, 30_000);
-  setInterval(cleanupStaleNodes, 60 * 60_000);
+  if (!READ_ONLY) {
+    setTimeout(cleanupStaleNodes, 30_000);
+    setInterval(cleanupStaleNodes, 60 * 60_000);
+  }
+
+  // Store registry cleanup — same "heard from" rule as node cleanup, with
+  // its own STORE_TTL_DAYS. A store is heard from if:
+  //   1. its own updated_at is recent, OR
+  //   2. its store_id is a libp2p peer seen on the network recently, OR
+  //   3. a live node record belongs to it — one with the same id, or the
+  //      same iroh_node_id (a storage broker's node and store registrations
+  //      share its iroh node). Live = recent updated_at or presence, as in
+  //      cleanupStaleNodes.
+  const cleanupStaleStores = async () => {
+    try {
+      const now = Date.now();
+      const cutoff = now - STORE_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+      // Latest activity of the node records, by node id and by iroh node id
+      const nodeActivity = new Map();
+      const irohActivity = new Map();
+      const noteLatest = (map, key, at) => {
+        if (key && at > (map.get(key) ?? 0)) map.set(key, at);
+      };
+      for (const entry of await dbs.nodes.all()) {
+        const doc = entry.value;
+        if (!doc || doc._id?.startsWith("__")) continue;
+        const at = presence.lastActivity(doc.ingester_id, doc.updated_at, now);
+        noteLatest(nodeActivity, doc._id, at);
+        noteLatest(irohActivity, doc.iroh_node_id, at);
+      }
+
+      let removed = 0;
+      let kept_via_network = 0;
+      for (const entry of await dbs.stores.all()) {
+        const doc = entry.value;
+        if (!doc || doc._id?.startsWith("__")) continue;
+        // (1) recent updated_at
+        const updatedAt = doc.updated_at ? new Date(doc.updated_at).getTime() || 0 : 0;
+        if (updatedAt >= cutoff) continue;
+        // (2) store peer present, or (3) a linked node record is live
+        const storeId = doc.store_id || doc._id;
+        const seen = Math.max(
+          presence.lastActivity(storeId, null, now),
+          nodeActivity.get(storeId) ?? 0,
+          (doc.iroh_node_id && irohActivity.get(doc.iroh_node_id)) || 0
+        );
+        if (seen >= cutoff) {
+          kept_via_network++;
+          continue;
+        }
 
-  // Garbage-collect the lastSeenPeers map. The Map grows with every unique
-  // peer connection; without GC it would accumulate indefinitely. At 1M+
+        await dbs.stores.del(doc._id);
+        removed++;
+      }
+      if (removed > 0 || kept_via_network > 0) {
+        console.log(
+          `Store cleanup: removed ${removed} stale entries, ` +
+          `kept ${kept_via_network} via network presence or node records ` +
+          `(TTL: ${STORE_TTL_DAYS}d)`
+        );
+      }
+    } catch (err) {
+      console.warn(`Store cleanup error: ${err.message}`);
+    }
+  };
+  // Offset from node cleanup, so a node pruned in the same pass is
+  // already gone when its stores are checked.
+  if (!READ_ONLY) {
+    setTimeout(cleanupStaleStores, 60_000);
+    setInterval(cleanupStaleStores, 60 * 60_000);
+  }
+
+  // Garbage-collect presence. The map grows with every unique peer
+  // connection; without GC it would accumulate indefinitely. At 1M+
   // peers seen over months of uptime this becomes meaningful memory.
   //
   // Entries older than NODE_TTL_DAYS no longer serve any purpose: they
   // can't save a registry entry from cleanup (cleanupStaleNodes uses the
   // same cutoff), so removing them changes nothing operationally.
   //
-  // Bounded by NODE_TTL_DAYS regardless of network size — the Map size
+  // Bounded by NODE_TTL_DAYS regardless of network size — the map size
   // tracks "peers seen in the last N days", not all-time peers.
-  const cleanupLastSeenPeers = () => {
-    const cutoff = Date.now() - NODE_TTL_DAYS * 24 * 60 * 60 * 1000;
-    let removed = 0;
-    for (const [peerId, lastSeen] of lastSeenPeers) {
-      if (lastSeen < cutoff) {
-        lastSeenPeers.delete(peerId);
-        removed++;
-      }
-    }
+  const cleanupPresence = () => {
+    const removed = presence.gc();
     if (removed > 0) {
-      console.log(`lastSeenPeers GC: removed ${removed} stale entries (now ${lastSeenPeers.size} tracked)`);
+      console.log(`Presence GC: removed ${removed} stale entries (now ${presence.size} tracked)`);
     }
   };
-  // Hourly is fine — the Map only matters at cleanupStaleNodes time, which
+  // Hourly is fine — presence only matters at cleanupStaleNodes time, which
   // also runs hourly. No urgency for tighter cadence.
-  setInterval(cleanupLastSeenPeers, 60 * 60_000);
+  setInterval(cleanupPresence, 60 * 60_000);
 
   // Peer dialing has two modes that share the same safety/self-check logic:
   //
@@ -1406,12 +1638,68 @@ async function main() {
   // Express HTTP API — only accessible from Docker network (port 5200),
   // but harden anyway since network_mode: host exposes it on all interfaces.
   const app = express();
-  app.use(express.json({ limit: "100kb" }));
+  app.use(express.json({ limit: "100kb", type: MERGE_PATCH_TYPES }));
+
+  // READ_ONLY: refuse every mutation. POST /trust/verify and /verify/batch
+  // only read the trust list, and /admin repairs this station's local
+  // copies without writing entries that would replicate.
+  if (READ_ONLY) {
+    app.use((req, res, next) => {
+      if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+      if (req.method === "POST" && /^\/trust\/verify(\/batch)?\/?$/.test(req.path)) return next();
+      if (req.path.startsWith("/admin/")) return next();
+      res.status(403).json({ error: "This station is a read-only replica (READ_ONLY)" });
+    });
+    console.log("READ_ONLY — HTTP mutations are refused with 403");
+  }
 
-  app.use("/nodes", createNodesRouter(dbs.nodes));
-  app.use("/trust", createTrustRouter(dbs.trust));
-  app.use("/stores", createStoresRouter(dbs.stores));
-  app.use("/health", createHealthRouter({ helia, dbs }));
+  app.use("/nodes", createNodesRouter(dbs.nodes, {
+    trustDb: dbs.trust,
+    signatureMode: SIGNATURE_MODE,
+    token: ADMIN_TOKEN,
+    presence,
+    conflicts,
+  }));
+  // Station signer for trust snapshots — the persisted peer key, so
+  // consumers can pin snapshots to this station's stable peer ID.
+  const stationSigner = privateKey
+    ? {
+        peerId: helia.libp2p.peerId.toString(),
+        publicKey: Buffer.from(privateKey.publicKey.raw).toString("base64"),
+        sign: async (bytes) => privateKey.sign(bytes),
+      }
+    : null;
+  app.use("/trust", createTrustRouter(dbs.trust, {
+    signer: stationSigner,
+    governance,
+    authorities: TRUST_AUTHORITIES,
+    signatureMode: SIGNATURE_MODE,
+    token: ADMIN_TOKEN,
+    conflicts,
+  }));
+  app.use("/stores", createStoresRouter(dbs.stores, {
+    trustDb: dbs.trust,
+    signatureMode: SIGNATURE_MODE,
+    token: ADMIN_TOKEN,
+    conflicts,
+  }));
+  app.use("/attestations", createAttestationsRouter(attestations, {
+    trustDb: dbs.trust,
+    signatureMode: SIGNATURE_MODE,
+    policies: consensusPolicies,
+    governance,
+    authorities: TRUST_AUTHORITIES,
+  }));
+  const repair = createDatabaseRepair({
+    orbitdb,
+    libp2p: helia.libp2p,
+    handles: dbHandles,
+    openOptions,
+  });
+  app.use("/health", createHealthRouter({ helia, dbs, readOnly: READ_ONLY, conflicts, repair }));
+  app.use("/events", createEventsRouter(dbs));
+  app.use("/replication", createReplicationRouter(replication));
+  app.use("/admin", createAdminRouter(repair, { token: ADMIN_TOKEN }));
 
   // Block blacklist status (read-only)
   app.get("/blacklist", (req, res) => {
@@ -1467,9 +1755,11 @@ async function main() {
 
     try {
       if (httpServer) httpServer.close();
+      conflicts.stop();
       await dbs.nodes.close();
       await dbs.trust.close();
       await dbs.stores.close();
+      await attestations.close();
       await orbitdb.stop();
       await helia.stop();
     } catch (err) {
@@ -0,0 +1,123 @@
+/**
+ * Pagination, sorting and field projection for list endpoints.
+ *
+ *   ?limit=100               — page size (1..MAX_LIMIT; default: everything)
+ *   ?cursor=<next_cursor>    — continue after the last item of the previous page
+ *   ?sort=node_name          — ascending; prefix with "-" for descending
+ *   ?fields=node_name,regions — return only these fields (plus _id)
+ *
+ * Cursors are keyset cursors over (sort value, _id) rather than offsets,
+ * so a page boundary doesn't shift when documents are added or removed
+ * between requests. A cursor is only valid with the sort it came from.
+ */
+
+const MAX_LIMIT = 1000;
+const MAX_FIELDS = 50;
+const MAX_CURSOR_LENGTH = 1024;
+
+function compareValues(a, b) {
+  // Missing values sort after present ones
+  if (a === undefined || a === null) return b === undefined || b === null ? 0 : 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value ?? null, id]), "utf-8").toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (Array.isArray(decoded) && decoded.length === 3 && typeof decoded[2] === "string") {
+      return decoded;
+    }
+  } catch {}
+  return null;
+}
+
+/**
+ * Parse list query parameters.
+ *
+ * @param {object} query - req.query
+ * @param {{sortFields: string[]}} options - fields that may be sorted on
+ * @returns {{limit: number|null, after: Array|null, sort: string, fields: string[]|null} | {error: string}}
+ */
+export function parseListQuery(query, { sortFields }) {
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  const sort = query.sort ? String(query.sort) : "_id";
+  const sortField = sort.startsWith("-") ? sort.slice(1) : sort;
+  if (sortField !== "_id" && !sortFields.includes(sortField)) {
+    return { error: `sort must be one of: ${["_id", ...sortFields].join(", ")} (prefix "-" for descending)` };
+  }
+
+  let after = null;
+  if (query.cursor !== undefined) {
+    const cursor = String(query.cursor);
+    after = cursor.length <= MAX_CURSOR_LENGTH ? decodeCursor(cursor) : null;
+    if (!after) return { error: "Invalid cursor" };
+    if (after[0] !== sort) return { error: "cursor was issued for a different sort" };
+  }
+
+  let fields = null;
+  if (query.fields !== undefined) {
+    fields = String(query.fields).split(",").map((f) => f.trim()).filter(Boolean);
+    if (fields.length === 0 || fields.length > MAX_FIELDS) {
+      return { error: `fields must list 1 to ${MAX_FIELDS} field names` };
+    }
+  }
+
+  return { limit, after, sort, fields };
+}
+
+/**
+ * Sort, page and project an already-filtered list of documents.
+ *
+ * @param {object[]} docs
+ * @param {{limit: number|null, after: Array|null, sort: string, fields: string[]|null}} listQuery
+ * @returns {{items: object[], total: number, next_cursor: string|null}}
+ */
+export function applyListQuery(docs, { limit, after, sort, fields }) {
+  const desc = sort.startsWith("-");
+  const field = desc ? sort.slice(1) : sort;
+  const compare = (a, b) => {
+    const byValue = compareValues(a[field], b[field]);
+    const order = byValue !== 0 ? byValue : compareValues(a._id, b._id);
+    // Keep missing values last when descending as well
+    return desc && a[field] != null && b[field] != null ? -order : order;
+  };
+
+  const sorted = [...docs].sort(compare);
+  let start = 0;
+  if (after) {
+    const [, value, id] = after;
+    const marker = { [field]: value ?? undefined, _id: id };
+    start = sorted.findIndex((doc) => compare(doc, marker) > 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  const end = limit === null ? sorted.length : Math.min(start + limit, sorted.length);
+  const page = sorted.slice(start, end);
+  const last = page[page.length - 1];
+  const next_cursor = end < sorted.length && last ? encodeCursor(sort, last[field], last._id) : null;
+
+  const items = fields
+    ? page.map((doc) => {
+        const projected = { _id: doc._id };
+        for (const f of fields) {
+          if (f in doc) projected[f] = doc[f];
+        }
+        return projected;
+      })
+    : page;
+
+  return { items, total: docs.length, next_cursor };
+}
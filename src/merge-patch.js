@@ -0,0 +1,35 @@
+/**
+ * JSON Merge Patch (RFC 7386) for the PATCH routes.
+ *
+ * A patch object is merged into the target field by field: `null` removes
+ * a field, nested objects are merged recursively, and anything else
+ * (including arrays) replaces the current value. So {"uptime": 3600}
+ * touches only uptime, and {"zenoh_proxy": null} removes zenoh_proxy.
+ *
+ * Both `application/json` and `application/merge-patch+json` bodies are
+ * treated this way (see the express.json() types in index.js).
+ */
+
+export const MERGE_PATCH_TYPES = ["application/json", "application/merge-patch+json"];
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Apply `patch` to `target` without modifying either.
+ *
+ * @param {unknown} target
+ * @param {unknown} patch
+ * @returns {unknown}
+ */
+export function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,434 @@
+/**
+ * Helpers for reading the OrbitDB oplog directly.
+ *
+ * The Documents index only holds the current value of each key. The
+ * oplog underneath holds every PUT/DEL entry still within the 30-day TTL
+ * (see databases.js), which is what change feeds need.
+ *
+ * Log entries look like { hash, clock: { id, time }, payload: { op, key, value } }
+ * and the log iterator yields them newest first.
+ */
+
+// Oplog TTL the databases are opened with (databases.js): entries older
+// than this are filtered during reads and not sent to peers.
+export const OPLOG_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Bound on the entries a point-in-time rebuild walks
+const MAX_REBUILD_ENTRIES = 100_000;
+
+// A rebuild holds every walked entry in memory, so they run one at a
+// time; a few more wait their turn and the rest are turned away.
+const MAX_WAITING_REBUILDS = 4;
+let rebuildRunning = false;
+const rebuildQueue = [];
+
+// Operations per key compared by findConflicts()
+const MAX_CONFLICT_VERSIONS = 10;
+
+// Bounds on head-set cursors (headsCursor()) and the DAG walk behind them
+const MAX_CURSOR_HEADS = 32;
+const MAX_DIFF_WALK = 50_000;
+
+/**
+ * Cursor for a set of log heads: their hashes, sorted, comma-separated.
+ * An empty log gives "".
+ *
+ * @param {string[]} hashes
+ */
+export function formatHeadsCursor(hashes) {
+  return [...hashes].sort().join(",");
+}
+
+/**
+ * Parse a formatHeadsCursor() cursor. Returns null if it isn't one.
+ *
+ * @returns {string[]|null}
+ */
+export function parseHeadsCursor(cursor) {
+  if (cursor === "") return [];
+  const hashes = String(cursor).split(",");
+  if (hashes.length > MAX_CURSOR_HEADS || !hashes.every((hash) => /^[A-Za-z0-9]+$/.test(hash))) return null;
+  return hashes;
+}
+
+/**
+ * Log entries this station holds that the heads `since` don't descend
+ * from — everything that arrived after a reader saw those heads, however
+ * old its clock (a peer rejoining with a branch written while offline).
+ * Oldest first in clock order, so parents come before their children.
+ *
+ * The walk goes down from the current heads and from `since` together,
+ * newest clock first, marking what `since` reaches as seen; an entry's
+ * children all have higher clocks, so each is marked before it is
+ * visited. It stops once only seen entries are left.
+ *
+ * Returns null if one of `since` is not in our local log (never seen, or
+ * aged out), or more than `limit` entries are new — either way the caller
+ * can't resume incrementally and should fall back to a full read.
+ * Only the local index is consulted; db.log.get() would go to the network
+ * for an unknown hash.
+ *
+ * @param {object} db - OrbitDB database
+ * @param {string[]} since - head hashes from a previous call
+ * @param {number} limit
+ * @returns {Promise<{entries: object[], heads: string[]}|null>}
+ *   heads — the current heads, the cursor for the next call
+ */
+export async function entriesSince(db, since, limit) {
+  const pending = new Map(); // hash -> { entry, seen }
+  const visited = new Set();
+  let unseen = 0;
+  const add = async (hash, entry, seen) => {
+    if (visited.has(hash)) return;
+    const item = pending.get(hash);
+    if (item) {
+      if (seen && !item.seen) unseen--;
+      item.seen ||= seen;
+      return;
+    }
+    if (!entry) {
+      if (!(await db.log.has(hash))) return;
+      entry = await db.log.get(hash);
+    }
+    pending.set(hash, { entry, seen });
+    if (!seen) unseen++;
+  };
+
+  for (const hash of since) {
+    if (!(await db.log.has(hash))) return null;
+    await add(hash, null, true);
+  }
+  const heads = await db.log.heads();
+  for (const head of heads) await add(head.hash, head, false);
+
+  const entries = [];
+  while (unseen > 0) {
+    if (visited.size >= MAX_DIFF_WALK) return null;
+    let next = null;
+    for (const item of pending.values()) {
+      if (!next || item.entry.clock.time > next.entry.clock.time) next = item;
+    }
+    const { entry, seen } = next;
+    pending.delete(entry.hash);
+    visited.add(entry.hash);
+    if (!seen) {
+      unseen--;
+      if (entries.length >= limit) return null;
+      entries.push(entry);
+    }
+    for (const link of [...(entry.next || []), ...(entry.refs || [])]) {
+      await add(link, null, seen);
+    }
+  }
+  entries.sort((a, b) => a.clock.time - b.clock.time || String(a.clock.id).localeCompare(String(b.clock.id)));
+  return { entries, heads: heads.map((head) => head.hash) };
+}
+
+/**
+ * Plain description of a Documents oplog entry for API responses.
+ */
+export function describeEntry(entry) {
+  const op = entry.payload?.op === "DEL" ? "del" : "put";
+  return {
+    op,
+    key: entry.payload?.key,
+    doc: op === "put" ? entry.payload?.value ?? null : null,
+    hash: entry.hash,
+    clock: entry.clock?.time ?? null,
+  };
+}
+
+/**
+ * Net changes since a heads cursor (formatHeadsCursor()): every key
+ * touched by an entry that arrived after the cursor, with its current
+ * value in the Documents index — a put of the document it serves now, or
+ * a del if it has none. Reporting the current value rather than the entry
+ * keeps a late-arriving losing write from being passed on as the latest.
+ *
+ * Returns null when the cursor can't be resolved locally, or more than
+ * `limit` entries are new — the caller should re-read the full
+ * collection then.
+ *
+ * @param {object} db - OrbitDB Documents database
+ * @param {string[]} since - head hashes
+ * @param {number} limit
+ * @returns {Promise<{changes: object[], cursor: string}|null>}
+ */
+export async function changesSince(db, since, limit) {
+  const diff = await entriesSince(db, since, limit);
+  if (!diff) return null;
+  return { changes: await netChanges(db, diff.entries), cursor: formatHeadsCursor(diff.heads) };
+}
+
+/**
+ * Net changes since a Lamport clock cursor: every key touched by an entry
+ * with a clock time greater than `time`, reported as changesSince() does,
+ * with a heads cursor for the next call. Walks the log newest first from
+ * the first entry past the cursor; a branch a peer wrote while offline can
+ * carry lower clocks and is not included — heads cursors don't have that
+ * gap, so callers should move on to the cursor returned.
+ *
+ * Returns null when more than `limit` entries are newer than the cursor.
+ *
+ * @param {object} db - OrbitDB Documents database
+ * @param {number} time - Lamport clock time
+ * @param {number} limit
+ * @returns {Promise<{changes: object[], cursor: string}|null>}
+ */
+export async function changesSinceClock(db, time, limit) {
+  // Heads first, so anything written during the walk is in the next call
+  const heads = await db.log.heads();
+  const entries = [];
+  // The iterator yields newest first, in descending clock order, so the
+  // walk can stop at the first entry at or below the cursor time.
+  for await (const entry of db.log.iterator()) {
+    if (entry.clock.time <= time) break;
+    if (entries.length >= limit) return null;
+    entries.push(entry);
+  }
+  entries.reverse();
+  return { changes: await netChanges(db, entries), cursor: formatHeadsCursor(heads.map((head) => head.hash)) };
+}
+
+// Each key touched by `entries` (oldest first) with its current value in
+// the Documents index, for changesSince() and changesSinceClock()
+async function netChanges(db, entries) {
+  const latest = new Map(); // key → newest new entry for it
+  for (const entry of entries) {
+    const key = entry.payload?.key;
+    if (key && !key.startsWith("__")) latest.set(key, entry);
+  }
+  const changes = [];
+  for (const [key, entry] of latest) {
+    const [current] = await db.get(key);
+    if (!current) {
+      changes.push({ ...describeEntry(entry), op: "del", doc: null });
+    } else if (current.hash === entry.hash) {
+      changes.push(describeEntry(entry));
+    } else {
+      const winner = await db.log.get(current.hash);
+      changes.push(winner ? describeEntry(winner) : { op: "put", key, doc: current.value, hash: current.hash, clock: null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Every operation on one key still in the oplog, newest first. Walks at
+ * most `walkLimit` entries and returns at most `limit` operations;
+ * `truncated` is set when the walk stopped before the start of the log,
+ * so older operations may exist.
+ *
+ * @param {object} db - OrbitDB Documents database
+ * @param {string} key
+ * @param {{limit: number, walkLimit: number}} bounds
+ * @returns {Promise<{versions: object[], truncated: boolean}>}
+ */
+export async function keyHistory(db, key, { limit, walkLimit }) {
+  const versions = [];
+  let walked = 0;
+  for await (const entry of db.log.iterator()) {
+    if (++walked > walkLimit || versions.length >= limit) {
+      return { versions, truncated: true };
+    }
+    if (entry.payload?.key !== key) continue;
+    versions.push(describeVersion(entry));
+  }
+  return { versions, truncated: false };
+}
+
+/**
+ * One operation on a key, as keyHistory() and findConflicts() report it.
+ */
+export function describeVersion(entry) {
+  const { op, doc, hash, clock } = describeEntry(entry);
+  return {
+    op,
+    // Wall-clock time as recorded by the writer; DELs carry none
+    timestamp: doc?.updated_at ?? null,
+    clock,
+    // Writer: identity entry hash, and the identity public key it signs with
+    identity: entry.identity ?? null,
+    writer: entry.clock?.id ?? null,
+    hash,
+    doc,
+  };
+}
+
+/**
+ * Concurrent writes to the same key that the Documents index resolved by
+ * log order. The index serves the newest operation on a key (the
+ * "winner"); an older operation on it is a losing version when no later
+ * operation on the same key descends from it — it was written without
+ * seeing the winner, e.g. by two stations before they synced, and its
+ * change was silently dropped.
+ *
+ * Descent follows each entry's `next` and `refs` links. An entry's parents
+ * always have a lower clock time, so the walk below a key's versions stops
+ * at the oldest of them, and every entry on a path between two versions is
+ * newer than the older one — which keeps the result exact for the walked
+ * part of the log even when the walk stops at `walkLimit` (`truncated`).
+ * Only the `MAX_CONFLICT_VERSIONS` newest operations per key are compared.
+ *
+ * @param {object} db - OrbitDB Documents database
+ * @param {{key?: string|null, walkLimit: number}} options - key limits the
+ *   check to one document; otherwise every non-internal key is checked
+ * @returns {Promise<{conflicts: Map<string, {winner: object, losing: object[]}>, keys: Set<string>, truncated: boolean}>}
+ *   conflicts — log entries by key, for keys with losing versions;
+ *   keys — every key seen in the walked entries
+ */
+export async function findConflicts(db, { key = null, walkLimit }) {
+  const parents = new Map(); // hash -> { links, time }
+  const versions = new Map(); // key -> entries, newest first
+  let truncated = false;
+  let walked = 0;
+  for await (const entry of db.log.iterator()) {
+    if (++walked > walkLimit) {
+      truncated = true;
+      break;
+    }
+    parents.set(entry.hash, { links: [...(entry.next || []), ...(entry.refs || [])], time: entry.clock.time });
+    const k = entry.payload?.key;
+    if (!k || k.startsWith("__") || (key !== null && k !== key)) continue;
+    if (!versions.has(k)) versions.set(k, []);
+    const list = versions.get(k);
+    if (list.length < MAX_CONFLICT_VERSIONS) list.push(entry);
+  }
+
+  const conflicts = new Map();
+  for (const [k, list] of versions) {
+    // One writer always builds on its own previous entries
+    if (new Set(list.map((entry) => entry.clock.id)).size < 2) continue;
+    const oldest = Math.min(...list.map((entry) => entry.clock.time));
+    const ancestors = new Set();
+    const stack = list.flatMap((entry) => parents.get(entry.hash).links);
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (ancestors.has(hash)) continue;
+      ancestors.add(hash);
+      const node = parents.get(hash);
+      if (node && node.time > oldest) stack.push(...node.links);
+    }
+    const losing = list.slice(1).filter((entry) => !ancestors.has(entry.hash));
+    if (losing.length > 0) conflicts.set(k, { winner: list[0], losing });
+  }
+  return { conflicts, keys: new Set(versions.keys()), truncated };
+}
+
+/**
+ * Parse a point-in-time `?at=` value. Points older than the oplog TTL
+ * can't be rebuilt — the entries they depend on are gone.
+ *
+ * @returns {{at: number} | {error: string}}
+ */
+export function parsePointInTime(value, now = Date.now()) {
+  const at = new Date(String(value)).getTime();
+  if (Number.isNaN(at)) return { error: "at must be an ISO 8601 timestamp" };
+  if (at < now - OPLOG_TTL_MS) {
+    return {
+      error: `at is older than the ${OPLOG_TTL_MS / (24 * 60 * 60 * 1000)}-day oplog retention — ` +
+        `the earliest point that can be rebuilt is ${new Date(now - OPLOG_TTL_MS).toISOString()}`,
+    };
+  }
+  return { at };
+}
+
+/**
+ * Rebuild the documents of a database as they were at time `at`.
+ *
+ * Entries carry no wall-clock time of their own; a PUT's document carries
+ * its writer's `updated_at`. The rebuild is a causal cut: an entry is left
+ * out if it was written after `at`, or descends (through `next`/`refs`)
+ * from one that was — its writer had already seen a later write, so it
+ * can't have happened before `at` whatever its own `updated_at` says. The
+ * entries left are replayed in log order. Deletions carry no time: one
+ * that a write from before `at` descends from certainly happened before
+ * it; one without may have happened on either side. Those are applied
+ * too, and their keys reported as `undatedDeletions` so a reader knows
+ * which documents might still have existed at `at`. `updated_at` is the
+ * writer's clock, so a skewed writer moves its own entries (and what
+ * descends from them) across the cut.
+ * Internal (`__`-prefixed) documents are left out.
+ *
+ * One rebuild runs at a time (MAX_WAITING_REBUILDS more wait). Returns
+ * null if the log holds more than `walkLimit` entries, and {busy: true}
+ * if too many rebuilds are waiting.
+ *
+ * @param {object} db - OrbitDB Documents database
+ * @param {number} at - epoch ms
+ * @param {number} [walkLimit]
+ * @returns {Promise<{docs: object[], undatedDeletions: string[]}|{busy: true}|null>}
+ */
+export async function documentsAt(db, at, walkLimit = MAX_REBUILD_ENTRIES) {
+  if (rebuildRunning) {
+    if (rebuildQueue.length >= MAX_WAITING_REBUILDS) return { busy: true };
+    await new Promise((resolve) => rebuildQueue.push(resolve));
+  }
+  rebuildRunning = true;
+  try {
+    return await rebuildAt(db, at, walkLimit);
+  } finally {
+    const next = rebuildQueue.shift();
+    if (next) next();
+    else rebuildRunning = false;
+  }
+}
+
+/**
+ * Every entry in the oplog, oldest first, or null if there are more than
+ * `walkLimit`.
+ *
+ * @param {object} db - OrbitDB database
+ * @returns {Promise<object[]|null>}
+ */
+export async function logEntries(db, walkLimit = MAX_REBUILD_ENTRIES) {
+  const entries = [];
+  for await (const entry of db.log.iterator()) {
+    if (entries.length >= walkLimit) return null;
+    entries.push(entry);
+  }
+  return entries.reverse();
+}
+
+async function rebuildAt(db, at, walkLimit) {
+  const entries = await logEntries(db, walkLimit);
+  if (!entries) return null;
+
+  const writtenAt = (entry) => {
+    const updatedAt = entry.payload?.op === "PUT" ? entry.payload.value?.updated_at : undefined;
+    return updatedAt ? new Date(updatedAt).getTime() : NaN;
+  };
+  const links = (entry) => [...(entry.next || []), ...(entry.refs || [])];
+
+  // Oldest first, so parents are decided before their children. Parents
+  // outside the walked log (aged out) count as before `at`.
+  const after = new Set();
+  for (const entry of entries) {
+    if (writtenAt(entry) > at || links(entry).some((hash) => after.has(hash))) after.add(entry.hash);
+  }
+  // Newest first: what a write from before `at` descends from was before it too
+  const dated = new Set();
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (after.has(entry.hash)) continue;
+    if (writtenAt(entry) <= at || dated.has(entry.hash)) {
+      for (const hash of links(entry)) dated.add(hash);
+    }
+  }
+
+  const docs = new Map();
+  const undatedDeletions = new Set();
+  for (const entry of entries) {
+    if (after.has(entry.hash)) continue;
+    const key = entry.payload?.key;
+    if (!key || key.startsWith("__")) continue;
+    if (entry.payload.op === "DEL") {
+      docs.delete(key);
+      if (!dated.has(entry.hash)) undatedDeletions.add(key);
+    } else {
+      docs.set(key, entry.payload.value);
+      undatedDeletions.delete(key);
+    }
+  }
+  return { docs: [...docs.values()], undatedDeletions: [...undatedDeletions] };
+}
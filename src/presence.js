@@ -0,0 +1,113 @@
+/**
+ * Local libp2p presence of registered nodes.
+ *
+ * Tracks when we last saw each peer on the network and which peers are
+ * connected right now. Shared by the node- and store-cleanup loops in
+ * index.js, which keep a registration alive while its peer is still
+ * present, and by GET /nodes, which reports the same view to clients:
+ *
+ *   status:            "online"  — connected to this station right now
+ *                      "recent"  — seen or re-registered within recentMs
+ *                      "stale"   — neither; pruned once ttlMs has passed
+ *   last_seen:         last libp2p contact (ISO), null if never seen
+ *   prunes_in_seconds: time until cleanup removes the entry at the
+ *                      current rate of contact (0 = due at next run)
+ *
+ * Local-only state: NOT replicated via OrbitDB. Each station maintains its
+ * own view of which peers it has personally seen, so two stations may
+ * report different statuses for the same node.
+ */
+
+export const NODE_STATUSES = ["online", "recent", "stale"];
+
+/**
+ * @param {{ttlMs: number, recentMs: number, selfPeerId?: string}} options
+ */
+export function createPresence({ ttlMs, recentMs, selfPeerId = null }) {
+  const lastSeen = new Map(); // peerId (string) -> last-seen timestamp (ms)
+  const connected = new Set();
+
+  const isOnline = (peerId) => peerId === selfPeerId || connected.has(peerId);
+
+  // A connected peer is being heard from continuously, not only at the
+  // moment it connected.
+  const lastSeenAt = (peerId, now) => (isOnline(peerId) ? now : lastSeen.get(peerId) ?? null);
+
+  // Latest sign of life for a document written at `updated_at` by the peer
+  // `peerId`: the write itself, or network presence of that peer. Ids that
+  // aren't libp2p peer IDs (ingesters, storage brokers) simply never
+  // appear in the map.
+  const activity = (peerId, updated_at, now) => {
+    const updatedAt = updated_at ? new Date(updated_at).getTime() || 0 : 0;
+    return Math.max(updatedAt, lastSeenAt(peerId, now) ?? 0);
+  };
+
+  const lastActivity = (doc, now) => activity(doc.ingester_id, doc.updated_at, now);
+
+  return {
+    connect(peerId, now = Date.now()) {
+      connected.add(peerId);
+      lastSeen.set(peerId, now);
+    },
+
+    // Refresh on disconnect too — they were here right up until disconnect.
+    disconnect(peerId, now = Date.now()) {
+      connected.delete(peerId);
+      lastSeen.set(peerId, now);
+    },
+
+    /** Whether cleanup should prune this node document. */
+    isExpired(doc, now = Date.now()) {
+      return lastActivity(doc, now) < now - ttlMs;
+    },
+
+    /**
+     * Latest activity (ms) of a registration by `peerId` last written at
+     * `updated_at` — for registries other than wesense.nodes, which apply
+     * their own TTL. 0 if there has been none.
+     */
+    lastActivity(peerId, updated_at, now = Date.now()) {
+      return activity(peerId, updated_at, now);
+    },
+
+    /** Whether `doc` is only kept alive by network presence. */
+    keptByPresence(doc, now = Date.now()) {
+      const updatedAt = doc.updated_at ? new Date(doc.updated_at).getTime() || 0 : 0;
+      return updatedAt < now - ttlMs && !this.isExpired(doc, now);
+    },
+
+    /** Computed presence fields for a node document. */
+    describe(doc, now = Date.now()) {
+      const seen = lastSeenAt(doc.ingester_id, now);
+      const activity = lastActivity(doc, now);
+      let status = "stale";
+      if (isOnline(doc.ingester_id)) status = "online";
+      else if (activity >= now - recentMs) status = "recent";
+      return {
+        status,
+        last_seen: seen === null ? null : new Date(seen).toISOString(),
+        prunes_in_seconds: Math.max(0, Math.floor((activity + ttlMs - now) / 1000)),
+      };
+    },
+
+    /**
+     * Drop presence older than the TTL: it can no longer save a registry
+     * entry from cleanup, so removing it changes nothing operationally.
+     * Returns the number of entries removed.
+     */
+    gc(now = Date.now()) {
+      let removed = 0;
+      for (const [peerId, seen] of lastSeen) {
+        if (seen < now - ttlMs && !connected.has(peerId)) {
+          lastSeen.delete(peerId);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    get size() {
+      return lastSeen.size;
+    },
+  };
+}
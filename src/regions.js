@@ -0,0 +1,28 @@
+/**
+ * Region scope matching shared by the registry routes.
+ *
+ * Scopes are "country/subdivision" strings (e.g. "nz/akl") or a country
+ * wildcard ("nz/*"). A query region matches a scope exactly, or falls
+ * under a wildcard scope for its country. Comparison is case-insensitive.
+ */
+
+/**
+ * @param {string} scope - e.g. "nz/*" or "nz/akl"
+ * @param {string} region - lower-cased query region, e.g. "nz/akl"
+ */
+export function scopeMatchesRegion(scope, region) {
+  if (typeof scope !== "string") return false;
+  const scopeLower = scope.toLowerCase();
+  // Exact match or wildcard match
+  return (
+    scopeLower === region ||
+    (scopeLower.endsWith("/*") && region.startsWith(scopeLower.slice(0, -1)))
+  );
+}
+
+/**
+ * Whether any scope in `scopes` matches `region`.
+ */
+export function anyScopeMatches(scopes, region) {
+  return Array.isArray(scopes) && scopes.some((scope) => scopeMatchesRegion(scope, region));
+}
@@ -0,0 +1,254 @@
+/**
+ * Per-peer, per-database replication status (GET /replication).
+ *
+ * Fed by the events each watched database emits:
+ *
+ *   join   — a peer exchanged heads with us: the heads it sent and when
+ *   update — an entry reached our log (local write or replication)
+ *   error  — a sync error; attributed to a peer when the error names it,
+ *            otherwise kept against the database
+ *
+ * and by the heads peers publish on the database's pubsub topic — on
+ * every write, and when they re-announce (sync-nudge.js). A new head's
+ * `next` links are the writer's previous heads, so the announced head
+ * replaces those in what we know of the peer's heads — once it has
+ * reached our log, i.e. passed OrbitDB's checks and our access
+ * controller; until then it is held as pending (at most MAX_PEER_HEADS
+ * per peer), so a peer can't report heads that don't exist. Failures
+ * handling an announcement are kept in the peer's `errors`.
+ *
+ * At report time each peer's last known heads are checked against our
+ * log, which answers "is station X behind?":
+ *
+ *   in_sync     — its heads are exactly ours
+ *   behind      — we have all its heads and more: it is missing our newer
+ *                 entries, which reached our log before we last heard its
+ *                 heads (`heads_at`)
+ *   ahead       — some of its heads aren't in our log yet: we are behind it
+ *   unknown     — no heads heard from it since we started, or our log has
+ *                 changed since: peers don't announce what they receive,
+ *                 so whether it has our newer entries can't be told
+ *
+ * triggerSync in index.js re-announces ours (`last_announced_at`).
+ * Local-only state: NOT replicated.
+ */
+
+import { Entry } from "@orbitdb/core";
+
+export const PEER_SYNC_STATES = ["in_sync", "behind", "ahead", "unknown"];
+
+const MAX_ERRORS = 10;
+// Bound on the heads (and pending announced heads) kept per peer
+const MAX_PEER_HEADS = 32;
+// Bound on the log entries walked to place an announced head
+const MAX_ANCESTOR_WALK = 1000;
+// Peers that left are reported for this long after their last exchange
+const DEPARTED_PEER_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const pushBounded = (list, item) => {
+  list.push(item);
+  if (list.length > MAX_ERRORS) list.shift();
+};
+
+const toPeerId = (peerId) => (peerId === undefined || peerId === null ? null : peerId.toString());
+
+// Which of `hashes` the entry `head` is or descends from. Walks our log
+// down from `head` to the oldest of them; without the entries (not
+// replicated yet) only its direct `next` links are known.
+async function ancestorsOf(db, head, hashes) {
+  const found = new Set([head.hash, ...(head.next || [])].filter((hash) => hashes.includes(hash)));
+  let oldest = Infinity;
+  for (const hash of hashes) {
+    if (!found.has(hash) && (await db.log.has(hash))) oldest = Math.min(oldest, (await db.log.get(hash)).clock.time);
+  }
+  const stack = [...(head.next || []), ...(head.refs || [])];
+  const seen = new Set();
+  while (stack.length > 0 && oldest !== Infinity && seen.size < MAX_ANCESTOR_WALK) {
+    const hash = stack.pop();
+    if (seen.has(hash) || !(await db.log.has(hash))) continue;
+    seen.add(hash);
+    if (hashes.includes(hash)) found.add(hash);
+    const entry = await db.log.get(hash);
+    if (entry.clock.time > oldest) stack.push(...(entry.next || []), ...(entry.refs || []));
+  }
+  return found;
+}
+
+/**
+ * @param {{pubsub?: object}} [options]
+ *   pubsub — libp2p pubsub service, for the heads peers announce
+ */
+export function createReplicationTracker({ pubsub = null } = {}) {
+  const tracked = new Map(); // name -> state
+
+  const peerState = (state, peerId) => {
+    if (!state.peers.has(peerId)) {
+      state.peers.set(peerId, { heads: [], pending: new Map(), last_exchange_at: null, heads_at: null, errors: [] });
+    }
+    return state.peers.get(peerId);
+  };
+
+  const recordError = (errors, err) =>
+    pushBounded(errors, { at: new Date().toISOString(), message: `announced head: ${err?.message ?? String(err)}` });
+
+  // Record `hash`, an entry in our log, as one of the peer's heads in
+  // place of those it descends from
+  const applyHead = async (state, peer, hash) => {
+    const head = await state.db.log.get(hash);
+    const replaced = await ancestorsOf(state.db, head, peer.heads);
+    peer.heads = [...peer.heads.filter((h) => !replaced.has(h)), head.hash].slice(-MAX_PEER_HEADS);
+    peer.heads_at = Date.now();
+  };
+
+  const onMessage = async (event) => {
+    const { topic, data, from } = event.detail ?? {};
+    const state = [...tracked.values()].find((s) => s.db.address?.toString() === topic);
+    if (!state || !from || !data) return;
+    let peer = null;
+    try {
+      let head;
+      try {
+        head = await Entry.decode(data);
+      } catch {
+        return; // Not an entry; OrbitDB's own handler reports it
+      }
+      if (typeof head?.hash !== "string") return;
+      peer = peerState(state, toPeerId(from));
+      if (await state.db.log.has(head.hash)) {
+        await applyHead(state, peer, head.hash);
+        return;
+      }
+      // Applied by the update listener once OrbitDB has joined it
+      peer.pending.delete(head.hash);
+      peer.pending.set(head.hash, Date.now());
+      if (peer.pending.size > MAX_PEER_HEADS) peer.pending.delete(peer.pending.keys().next().value);
+    } catch (err) {
+      recordError(peer ? peer.errors : state.errors, err);
+    }
+  };
+  pubsub?.addEventListener("message", onMessage);
+
+  return {
+    /**
+     * Start tracking `db` under `name`. Re-watching a name (a reopened
+     * database) replaces the previous handle and keeps its peer history.
+     */
+    watch(name, db) {
+      const state = tracked.get(name) ?? {
+        db: null, peers: new Map(), errors: [], last_update_at: null, updates: 0, last_announced_at: null,
+      };
+      if (state.listeners) {
+        state.db.events.off("join", state.listeners.join);
+        state.db.events.off("update", state.listeners.update);
+        state.db.events.off("error", state.listeners.error);
+      }
+      const listeners = {
+        join: (peerId, heads) => {
+          const peer = peerState(state, toPeerId(peerId));
+          peer.heads = (heads || []).map((head) => head.hash).filter(Boolean).slice(0, MAX_PEER_HEADS);
+          peer.last_exchange_at = Date.now();
+          peer.heads_at = peer.last_exchange_at;
+        },
+        update: (entry) => {
+          state.last_update_at = Date.now();
+          state.updates++;
+          for (const peer of state.peers.values()) {
+            if (entry?.hash && peer.pending.delete(entry.hash)) {
+              applyHead(state, peer, entry.hash).catch((err) => recordError(peer.errors, err));
+            }
+          }
+        },
+        error: (err) => {
+          const error = { at: new Date().toISOString(), message: err?.message ?? String(err) };
+          const named = toPeerId(err?.peerId) ??
+            [...state.peers.keys()].find((peerId) => error.message.includes(peerId));
+          if (named) pushBounded(peerState(state, named).errors, error);
+          else pushBounded(state.errors, error);
+        },
+      };
+      db.events.on("join", listeners.join);
+      db.events.on("update", listeners.update);
+      db.events.on("error", listeners.error);
+      Object.assign(state, { db, listeners });
+      tracked.set(name, state);
+    },
+
+    /** Stop tracking `name` (a closed database). */
+    unwatch(name) {
+      const state = tracked.get(name);
+      if (!state) return;
+      state.db.events.off("join", state.listeners.join);
+      state.db.events.off("update", state.listeners.update);
+      state.db.events.off("error", state.listeners.error);
+      tracked.delete(name);
+    },
+
+    /** Record that our heads for `name` were re-announced. */
+    announced(name) {
+      const state = tracked.get(name);
+      if (state) state.last_announced_at = Date.now();
+    },
+
+    /**
+     * Status of every tracked database (or `names`), optionally limited
+     * to one peer.
+     */
+    async report({ names = null, peer = null } = {}) {
+      const now = Date.now();
+      const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+      const databases = {};
+      for (const [name, state] of tracked) {
+        if (names && !names.includes(name)) continue;
+        const { db } = state;
+        const ourHeads = (await db.log.heads()).map((head) => head.hash);
+        const connected = new Set([...(db.peers ?? [])].map(toPeerId));
+
+        // Forget departed peers once their last exchange is old enough
+        for (const [peerId, info] of state.peers) {
+          if (!connected.has(peerId) && (info.heads_at ?? 0) < now - DEPARTED_PEER_RETENTION_MS) {
+            state.peers.delete(peerId);
+          }
+        }
+
+        const peers = [];
+        for (const peerId of new Set([...connected, ...state.peers.keys()])) {
+          if (peer && peerId !== peer) continue;
+          const info = state.peers.get(peerId) ?? { heads: [], last_exchange_at: null, heads_at: null, errors: [] };
+          const missing = [];
+          for (const hash of info.heads) {
+            if (!(await db.log.has(hash))) missing.push(hash);
+          }
+          let sync = "unknown";
+          if (info.heads_at !== null) {
+            const same = info.heads.length === ourHeads.length && info.heads.every((h) => ourHeads.includes(h));
+            if (missing.length > 0) sync = "ahead";
+            else if (same) sync = "in_sync";
+            else if ((state.last_update_at ?? 0) < info.heads_at) sync = "behind";
+          }
+          peers.push({
+            peer_id: peerId,
+            connected: connected.has(peerId),
+            sync,
+            heads: info.heads,
+            heads_in_log: info.heads_at === null ? null : missing.length === 0,
+            missing_heads: missing,
+            last_exchange_at: iso(info.last_exchange_at),
+            heads_at: iso(info.heads_at),
+            errors: info.errors,
+          });
+        }
+
+        databases[name] = {
+          address: db.address?.toString() ?? null,
+          heads: ourHeads,
+          updates: state.updates,
+          last_update_at: iso(state.last_update_at),
+          last_announced_at: iso(state.last_announced_at),
+          errors: state.errors,
+          peers,
+        };
+      }
+      return databases;
+    },
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Admin repair routes for a single database (see db-repair.js).
+ *
+ * POST /admin/databases/:db/reopen — Close and re-open; {"drop": true}
+ *                                    drops the local oplog first
+ * POST /admin/databases/:db/resync — Head exchange with {"peer": "<peer ID>"}
+ * POST /admin/databases/:db/check  — Compare the served view with the
+ *                                    oplog (read-only)
+ * POST /admin/databases/:db/rebuild — Drop the local state and re-derive
+ *                                    it from the oplog's entries, then check
+ * GET  /admin/jobs                 — Recent jobs
+ * GET  /admin/jobs/:id             — One job, with its progress
+ *
+ * :db is nodes, trust or stores. Operations run in the background: the
+ * POST answers 202 with the job, and GET /admin/jobs/:id reports each
+ * step as it happens plus the result (or error) once it is done. One job
+ * runs per database at a time — another answers 409. A reopen that fails
+ * after its retries leaves the database closed; it is listed under
+ * `databases_down` on /health until a reopen succeeds.
+ *
+ * Every route requires `Authorization: Bearer <ADMIN_TOKEN>`. Without
+ * ADMIN_TOKEN configured the admin API is disabled (404).
+ */
+
+import { Router } from "express";
+import { randomUUID } from "node:crypto";
+import { peerIdFromString } from "@libp2p/peer-id";
+import { hasBearerToken } from "../auth.js";
+import { DATABASE_NAMES } from "../databases.js";
+
+const MAX_JOBS = 50;
+const MAX_PEER_ID_LENGTH = 256;
+
+/**
+ * @param {object} repair - from createDatabaseRepair()
+ * @param {{token: string}} options - ADMIN_TOKEN; empty disables the API
+ */
+export function createAdminRouter(repair, { token }) {
+  const router = Router();
+  const jobs = new Map(); // id -> job, oldest first
+  const running = new Map(); // db -> job id
+
+  router.use((req, res, next) => {
+    if (!token) {
+      return res.status(404).json({ error: "Admin API is disabled (ADMIN_TOKEN not set)" });
+    }
+    if (!hasBearerToken(req, token)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  });
+
+  // Start `run(progress)` as a background job for database `db`
+  const startJob = (res, action, db, params, run) => {
+    if (running.has(db)) {
+      return res.status(409).json({ error: `A job is already running on ${db}`, job_id: running.get(db) });
+    }
+    const job = {
+      id: randomUUID(),
+      action,
+      db,
+      params,
+      status: "running",
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      steps: [],
+      result: null,
+      error: null,
+    };
+    const progress = (message) => {
+      job.steps.push({ at: new Date().toISOString(), message });
+      console.log(`[admin] ${action} ${db}: ${message}`);
+    };
+    jobs.set(job.id, job);
+    running.set(db, job.id);
+    for (const id of jobs.keys()) {
+      if (jobs.size <= MAX_JOBS) break;
+      if (jobs.get(id).status !== "running") jobs.delete(id);
+    }
+
+    run(progress)
+      .then((result) => {
+        job.status = "done";
+        job.result = result;
+      })
+      .catch((err) => {
+        console.error(`[admin] ${action} ${db} failed:`, err);
+        job.status = "failed";
+        job.error = err.message;
+      })
+      .finally(() => {
+        job.finished_at = new Date().toISOString();
+        running.delete(db);
+      });
+    res.status(202).json(job);
+  };
+
+  const knownDb = (req, res) => {
+    if (Object.hasOwn(DATABASE_NAMES, req.params.db)) return true;
+    res.status(404).json({ error: `Unknown database (expected ${Object.keys(DATABASE_NAMES).join(", ")})` });
+    return false;
+  };
+
+  router.post("/databases/:db/reopen", (req, res) => {
+    try {
+      if (!knownDb(req, res)) return;
+      const drop = req.body?.drop ?? false;
+      if (typeof drop !== "boolean") {
+        return res.status(400).json({ error: "drop must be a boolean" });
+      }
+      startJob(res, "reopen", req.params.db, { drop }, (progress) =>
+        repair.reopen(req.params.db, { drop }, progress));
+    } catch (err) {
+      console.error("POST /admin/databases/:db/reopen error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  router.post("/databases/:db/resync", (req, res) => {
+    try {
+      if (!knownDb(req, res)) return;
+      const peer = req.body?.peer;
+      if (typeof peer !== "string" || peer.length > MAX_PEER_ID_LENGTH) {
+        return res.status(400).json({ error: "peer (a libp2p peer ID) is required" });
+      }
+      try {
+        peerIdFromString(peer);
+      } catch {
+        return res.status(400).json({ error: "peer is not a valid libp2p peer ID" });
+      }
+      startJob(res, "resync", req.params.db, { peer }, (progress) =>
+        repair.exchangeHeads(req.params.db, peer, progress));
+    } catch (err) {
+      console.error("POST /admin/databases/:db/resync error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  router.post("/databases/:db/check", (req, res) => {
+    try {
+      if (!knownDb(req, res)) return;
+      startJob(res, "check", req.params.db, {}, (progress) =>
+        repair.check(req.params.db, progress));
+    } catch (err) {
+      console.error("POST /admin/databases/:db/check error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  router.post("/databases/:db/rebuild", (req, res) => {
+    try {
+      if (!knownDb(req, res)) return;
+      startJob(res, "rebuild", req.params.db, {}, (progress) =>
+        repair.rebuild(req.params.db, progress));
+    } catch (err) {
+      console.error("POST /admin/databases/:db/rebuild error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  router.get("/jobs", (req, res) => {
+    res.json({ jobs: [...jobs.values()].reverse() });
+  });
+
+  router.get("/jobs/:id", (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "not found" });
+    }
+    res.json(job);
+  });
+
+  return router;
+}
@@ -1,24 +1,128 @@
 /**
- * Archive attestation routes (scaffolded for Phase 6 IPFS archiver).
+ * Archive attestation routes, over the period-sharded attestation
+ * databases (attestation-shards.js).
  *
- * PUT  /attestations/:manifest_hash — Submit attestation
- * GET  /attestations                 — List all (optional ?period= filter)
+ * PUT  /attestations/:manifest_hash — Submit attestation (optional period
+ *                                     in body or ?period=, default current)
+ * GET  /attestations                 — List all open periods (optional ?period=)
+ * GET  /attestations/periods         — Open periods and the window size
  * GET  /attestations/:manifest_hash  — Get attestations for specific archive
  * GET  /attestations/:manifest_hash/consensus — Consensus status
+ *
+ * An archive belongs to the period it was first attested in: later
+ * attestations for it go to that period whatever the date, so they are
+ * counted together (a request naming another period gets 409). Two
+ * stations can still each start an archive in a different period around
+ * the month boundary, so lookups and consensus merge an archive across
+ * all open periods (`periods` lists where it was found), or read only
+ * ?period= if given. Writes to a period outside the open window, or to a
+ * full one (MAX_ARCHIVES_PER_PERIOD, validation.js), are refused with 409.
+ *
+ * An attestation is {ingester_id, key_version, signature, attested_at}
+ * with the signature over attestationStatement() in signing.js, which
+ * also covers the archive's `region` ("nz/auk", selects its consensus
+ * policy), `iroh_blake3_hash` and `path`. A signed attestation brings its
+ * own `attested_at`, within MAX_CLOCK_SKEW_MS of this station's clock.
+ * Attestations are verified against wesense.trust (verifyAttestation(),
+ * consensus.js) before they are stored, and again by every peer they
+ * replicate to (validation.js), so only verified ones take up the
+ * per-archive and per-period caps: one that doesn't verify is refused
+ * with 403, and unverified ones already on the archive are dropped when
+ * it is next written. With signatureMode "log" they are logged and
+ * stored, get the time they arrive if unsigned, and are never counted —
+ * consensus (consensus.js) verifies each one again, counts each operator
+ * once, and lists the rejected ones with a reason.
+ *
+ * The archive fields are set by the request until an attestation that
+ * verifies is stored; from then on they are fixed, and a request with
+ * other values gets 409. Likewise an ingester's verified attestation is
+ * only replaced by a newer one. These checks hold for writes through
+ * this API; a peer can't forge or alter a signed attestation, but it
+ * could still drop one from a replicated document.
  */
 
 import { Router } from "express";
+import { PERIOD_RE } from "../attestation-shards.js";
+import { createKeyLock } from "../etag.js";
+import {
+  createTrustLookup, evaluateConsensus, isArchiveRegion, policyForRegion, verifyAttestation,
+} from "../consensus.js";
 
-/**
- * @param {object} attestationsDb - OrbitDB Documents database (indexBy: manifest_hash)
- */
 const MAX_HASH_LENGTH = 256;
 const MAX_ID_LENGTH = 256;
 const MAX_SIGNATURE_LENGTH = 1024;
 const MAX_ATTESTATIONS_PER_ARCHIVE = 100;
+const MAX_PATH_LENGTH = 1024;
+const MAX_CLOCK_SKEW_MS = 5 * 60_000;
 
-export function createAttestationsRouter(attestationsDb) {
+// Archive fields covered by every attestation's signature
+const ARCHIVE_FIELDS = ["region", "iroh_blake3_hash", "path"];
+
+/**
+ * @param {object} shards - from openAttestationShards()
+ * @param {{trustDb: object, signatureMode?: "enforce"|"log", policies: object, governance?: object|null,
+ *   authorities?: Set<string>}} options
+ *   trustDb — wesense.trust, for verifying attestation signatures
+ *   policies — from parseConsensusPolicies()
+ *   governance, authorities — whose approval makes a trust entry count (consensus.js)
+ */
+export function createAttestationsRouter(shards, {
+  trustDb, signatureMode = "enforce", policies, governance = null, authorities = new Set(),
+}) {
   const router = Router();
+  const trustLookup = () => createTrustLookup(trustDb, { governance, authorities });
+  // Attestations are appended read-modify-write; serialise per archive so
+  // two ingesters attesting at once don't drop each other's entry (and
+  // don't start it in two periods).
+  const withLock = createKeyLock();
+
+  // The ?period= (or body period) of a request. Sends a 400 and returns
+  // false if it is malformed; null means "not given".
+  const requestedPeriod = (req, res) => {
+    const period = req.body?.period ?? req.query.period;
+    if (period === undefined) return null;
+    if (typeof period !== "string" || !PERIOD_RE.test(period)) {
+      res.status(400).json({ error: "period must be YYYY-MM" });
+      return false;
+    }
+    return period;
+  };
+
+  const notOpen = (res, period, status) =>
+    res.status(status).json({ error: `Attestation period ${period} is not open`, periods: shards.periods() });
+
+  // Every open period holding `manifest_hash` (or only `period`), newest first
+  const findAttestations = async (manifest_hash, period) => {
+    const found = [];
+    for (const [p, db] of period ? [[period, shards.get(period)]] : shards.entries()) {
+      const doc = await db.get(manifest_hash);
+      if (doc && doc.length > 0) found.push({ period: p, value: doc[0].value });
+    }
+    return found;
+  };
+
+  // One view of an archive found in several periods: the document from
+  // the period it was first attested in, with every ingester's latest
+  // attestation
+  const mergeAttestations = (found) => {
+    const home = found[found.length - 1];
+    const latest = new Map();
+    for (const { value } of [...found].reverse()) {
+      for (const a of value.attestations || []) {
+        const seen = latest.get(a?.ingester_id);
+        if (!seen || String(a.attested_at) > String(seen.attested_at)) latest.set(a?.ingester_id, a);
+      }
+    }
+    return {
+      period: home.period,
+      periods: found.map((f) => f.period),
+      value: { ...home.value, attestations: [...latest.values()] },
+    };
+  };
+
+  router.get("/periods", (req, res) => {
+    res.json({ current: shards.current(), window: shards.window, periods: shards.periods() });
+  });
 
   // Submit an attestation for an archive
   router.put("/:manifest_hash", async (req, res) => {
@@ -27,7 +131,10 @@ export function createAttestationsRouter(attestationsDb) {
       if (manifest_hash.length > MAX_HASH_LENGTH) {
         return res.status(400).json({ error: "Hash too long" });
       }
-      const { ingester_id, signature, iroh_blake3_hash, path } = req.body;
+      const requested = requestedPeriod(req, res);
+      if (requested === false) return;
+
+      const { ingester_id, key_version, signature, iroh_blake3_hash, path, region, attested_at } = req.body ?? {};
 
       if (!ingester_id || typeof ingester_id !== "string" || ingester_id.length > MAX_ID_LENGTH) {
         return res.status(400).json({ error: "ingester_id is required and must be a valid string" });
@@ -35,62 +142,133 @@ export function createAttestationsRouter(attestationsDb) {
       if (signature && (typeof signature !== "string" || signature.length > MAX_SIGNATURE_LENGTH)) {
         return res.status(400).json({ error: "Invalid signature" });
       }
-
-      // Fetch existing to append attestation
-      const existing = await attestationsDb.get(manifest_hash);
-      let attestations = [];
-      if (existing && existing.length > 0 && existing[0].value.attestations) {
-        attestations = [...existing[0].value.attestations];
+      if (key_version !== undefined && typeof key_version !== "number" && typeof key_version !== "string") {
+        return res.status(400).json({ error: "Invalid key_version" });
       }
-
-      if (attestations.length >= MAX_ATTESTATIONS_PER_ARCHIVE) {
-        return res.status(400).json({ error: "Maximum attestations reached" });
+      if (region !== undefined && !isArchiveRegion(region)) {
+        return res.status(400).json({ error: "region must be a country or country/subdivision, e.g. nz/auk" });
       }
+      if ([iroh_blake3_hash, path].some((v) => typeof v === "string" && v.length > MAX_PATH_LENGTH)) {
+        return res.status(400).json({ error: "iroh_blake3_hash or path too long" });
+      }
+      if (signature) {
+        const time = new Date(attested_at).getTime();
+        if (typeof attested_at !== "string" || !Number.isFinite(time) || Math.abs(Date.now() - time) > MAX_CLOCK_SKEW_MS) {
+          return res.status(400).json({
+            error: `A signed attestation needs attested_at within ${MAX_CLOCK_SKEW_MS / 60_000} minutes of this station's clock`,
+          });
+        }
+      }
+
+      await withLock(manifest_hash, async () => {
+        // An archive stays in the period it was first attested in
+        const found = await findAttestations(manifest_hash);
+        const home = found[found.length - 1]?.period ?? null;
+        if (home && requested && requested !== home) {
+          return res.status(409).json({ error: `Archive was first attested in period ${home}`, period: home });
+        }
+        const period = home ?? requested ?? shards.current();
+        const attestationsDb = shards.get(period);
+        if (!attestationsDb) return notOpen(res, period, 409);
+        if (!shards.hasRoom(period, manifest_hash)) {
+          return res.status(409).json({ error: `Attestation period ${period} is full` });
+        }
+
+        // Fetch existing to append attestation
+        const existing = await attestationsDb.get(manifest_hash);
+        let attestations = [];
+        if (existing && existing.length > 0 && existing[0].value.attestations) {
+          attestations = [...existing[0].value.attestations];
+        }
 
-      // Avoid duplicate attestation from same ingester
-      if (!attestations.some((a) => a.ingester_id === ingester_id)) {
-        attestations.push({
+        // The archive fields stay as the verified attestations signed them;
+        // until there is one, the request sets them
+        const existingDoc = existing && existing.length > 0 ? existing[0].value : { manifest_hash };
+        const lookup = trustLookup();
+        // attested_at may be ahead of our clock by the skew allowed above
+        const verifyAt = Date.now() + MAX_CLOCK_SKEW_MS;
+        const verified = new Set();
+        for (const a of attestations) {
+          if ((await verifyAttestation(lookup, existingDoc, a, verifyAt)).entry) verified.add(a.ingester_id);
+        }
+        const requestedFields = {
+          region: typeof region === "string" ? region.toLowerCase() : null,
+          iroh_blake3_hash: typeof iroh_blake3_hash === "string" ? iroh_blake3_hash : null,
+          path: typeof path === "string" ? path : null,
+        };
+        const fields = {};
+        for (const field of ARCHIVE_FIELDS) {
+          const current = existingDoc[field] ?? null;
+          if (verified.size > 0 && requestedFields[field] !== null && requestedFields[field] !== current) {
+            return res.status(409).json({ error: `The archive's ${field} is fixed by its verified attestations`, [field]: current });
+          }
+          fields[field] = requestedFields[field] ?? current;
+        }
+
+        const attestation = {
           ingester_id,
+          key_version: key_version ?? null,
           signature: signature || "",
-          attested_at: new Date().toISOString(),
-        });
-      }
+          attested_at: signature ? attested_at : new Date().toISOString(),
+        };
+        const { reason } = await verifyAttestation(lookup, { ...existingDoc, ...fields }, attestation, verifyAt);
+        if (reason) {
+          if (signatureMode !== "log") {
+            return res.status(403).json({ error: "Attestation verification failed", reason });
+          }
+          console.warn(`PUT /attestations/${manifest_hash}: attestation by ${ingester_id} does not verify (${reason}) — accepted (SIGNATURE_MODE=log)`);
+        }
+        // Peers refuse a document with an attestation that doesn't verify
+        if (signatureMode !== "log") attestations = attestations.filter((a) => verified.has(a.ingester_id));
+
+        if (attestations.length >= MAX_ATTESTATIONS_PER_ARCHIVE &&
+            !attestations.some((a) => a.ingester_id === ingester_id)) {
+          return res.status(400).json({ error: "Maximum attestations reached" });
+        }
+
+        // One attestation per ingester — a resubmission (e.g. now signed)
+        // replaces the earlier one, unless that one verifies and this one
+        // doesn't, or is older
+        const index = attestations.findIndex((a) => a.ingester_id === ingester_id);
+        if (index !== -1 && verified.has(ingester_id)) {
+          if (reason) {
+            return res.status(409).json({ error: "A verified attestation can only be replaced by one that verifies", reason });
+          }
+          if (!(new Date(attested_at) > new Date(attestations[index].attested_at))) {
+            return res.status(409).json({ error: "A verified attestation can only be replaced by a newer one" });
+          }
+        }
+        if (index === -1) attestations.push(attestation);
+        else attestations[index] = attestation;
 
-      // Preserve iroh_blake3_hash and path from request body or existing doc
-      const existingDoc = existing && existing.length > 0 ? existing[0].value : {};
-      const finalBlake3 =
-        (typeof iroh_blake3_hash === "string" ? iroh_blake3_hash : null) || existingDoc.iroh_blake3_hash || null;
-      const finalPath =
-        (typeof path === "string" ? path : null) || existingDoc.path || null;
-
-      const doc = {
-        _id: manifest_hash,
-        manifest_hash,
-        attestations,
-        iroh_blake3_hash: finalBlake3,
-        path: finalPath,
-        updated_at: new Date().toISOString(),
-      };
-      await attestationsDb.put(doc);
-      res.json({ ok: true, manifest_hash, attestation_count: attestations.length });
+        const doc = {
+          _id: manifest_hash,
+          manifest_hash,
+          period,
+          attestations,
+          ...fields,
+          updated_at: new Date().toISOString(),
+        };
+        await attestationsDb.put(doc);
+        res.json({ ok: true, manifest_hash, period, attestation_count: attestations.length });
+      });
     } catch (err) {
       console.error("PUT /attestations/:manifest_hash error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
 
-  // List all attestations
+  // List attestations across the open periods (or only ?period=2026-10)
   router.get("/", async (req, res) => {
     try {
-      const all = await attestationsDb.all();
-      let items = all.map((entry) => entry.value);
-
-      // Optional period filter (e.g., ?period=2025-01)
-      if (req.query.period) {
-        const period = req.query.period;
-        items = items.filter(
-          (a) => a.manifest_hash && a.manifest_hash.includes(period)
-        );
+      const period = requestedPeriod(req, res);
+      if (period === false) return;
+      if (period && !shards.get(period)) return notOpen(res, period, 404);
+
+      const items = [];
+      for (const [p, db] of period ? [[period, shards.get(period)]] : shards.entries()) {
+        const all = await db.all();
+        for (const entry of all) items.push({ period: p, ...entry.value });
       }
 
       res.json({ attestations: items });
@@ -106,11 +284,15 @@ export function createAttestationsRouter(attestationsDb) {
       if (req.params.manifest_hash.length > MAX_HASH_LENGTH) {
         return res.status(400).json({ error: "Hash too long" });
       }
-      const doc = await attestationsDb.get(req.params.manifest_hash);
-      if (!doc || doc.length === 0) {
+      const period = requestedPeriod(req, res);
+      if (period === false) return;
+      if (period && !shards.get(period)) return notOpen(res, period, 404);
+      const found = await findAttestations(req.params.manifest_hash, period);
+      if (found.length === 0) {
         return res.status(404).json({ error: "not found" });
       }
-      res.json(doc[0].value);
+      const merged = mergeAttestations(found);
+      res.json({ ...merged.value, period: merged.period, periods: merged.periods });
     } catch (err) {
       console.error("GET /attestations/:manifest_hash error:", err);
       res.status(500).json({ error: "Internal error" });
@@ -120,25 +302,36 @@ export function createAttestationsRouter(attestationsDb) {
   // Consensus status for an archive
   router.get("/:manifest_hash/consensus", async (req, res) => {
     try {
-      const doc = await attestationsDb.get(req.params.manifest_hash);
-      if (!doc || doc.length === 0) {
+      const period = requestedPeriod(req, res);
+      if (period === false) return;
+      if (period && !shards.get(period)) return notOpen(res, period, 404);
+      if (req.query.region !== undefined) {
+        return res.status(400).json({ error: "region is part of the signed attestations and can't be overridden" });
+      }
+      const found = await findAttestations(req.params.manifest_hash, period);
+      if (found.length === 0) {
         return res.status(404).json({ error: "not found" });
       }
 
-      const val = doc[0].value;
-      const attestations = val.attestations || [];
-      const count = attestations.length;
-
-      // Simple threshold-based consensus (configurable in Phase 6)
-      const threshold = parseInt(process.env.CONSENSUS_THRESHOLD || "2", 10);
-      const reached = count >= threshold;
+      const merged = mergeAttestations(found);
+      const val = merged.value;
+      const region = val.region ?? null;
+      const policy = policyForRegion(policies, region);
+      const result = await evaluateConsensus(trustLookup(), val, policy);
 
       res.json({
         manifest_hash: req.params.manifest_hash,
-        attestation_count: count,
-        threshold,
-        consensus_reached: reached,
-        attesters: attestations.map((a) => a.ingester_id),
+        period: merged.period,
+        periods: merged.periods,
+        region,
+        policy: { scope: policy.scope, group_by: policy.group_by, threshold: policy.threshold },
+        attestation_count: (val.attestations || []).length,
+        threshold: policy.threshold,
+        weight: result.weight,
+        consensus_reached: result.consensus_reached,
+        attesters: result.attesters,
+        groups: result.groups,
+        rejected: result.rejected,
       });
     } catch (err) {
       console.error("GET /attestations/:manifest_hash/consensus error:", err);
@@ -0,0 +1,84 @@
+/**
+ * Incremental "changes since" handler shared by the registry routers.
+ *
+ * GET /<db>/changes?since=<cursor> — documents put or deleted since the
+ * cursor, with a new cursor to pass next time:
+ *
+ *   { "changes": [{"op": "put", "key", "doc", "hash", "clock"},
+ *                 {"op": "del", "key", "doc": null, "hash", "clock"}],
+ *     "cursor": "<log head hashes>" }
+ *
+ * The cursor is the set of oplog heads the response was read at, and the
+ * changes are every entry that reached this station after those heads —
+ * including a branch a peer wrote while offline, whatever its clock
+ * (changesSince() in oplog.js). Each changed key is reported with the
+ * value it has now. 410 means the cursor can no longer be resumed —
+ * re-read the full collection and start over.
+ *
+ * `since` also takes a Lamport clock time (digits) from older clients:
+ * changes are read from the first entry with a greater clock, and the
+ * response carries a heads cursor to use from then on. A clock cursor
+ * misses branches written offline with lower clocks (changesSinceClock()).
+ *
+ * GET /<db>/changes — the full current state, a page at a time, to start
+ * from: every document as a put, in _id order.
+ *
+ *   { "changes": [...], "cursor": "<log head hashes>", "next_after": "<_id>" }
+ *
+ * Pass `?after=<next_after>` for the next page (those pages carry no
+ * cursor) until `next_after` is null, then poll with the cursor from the
+ * FIRST page: it was taken before the state was read, so nothing written
+ * while paging is missed.
+ */
+
+import { changesSince, changesSinceClock, formatHeadsCursor, parseHeadsCursor } from "../oplog.js";
+
+const MAX_CHANGES_WALK = 10_000;
+const MAX_CURSOR_LENGTH = 4096;
+const SNAPSHOT_PAGE = 1000;
+const MAX_ID_LENGTH = 256;
+
+/**
+ * @param {object} db - OrbitDB Documents database
+ * @param {string} name - database name for logging
+ */
+export function createChangesHandler(db, name) {
+  return async (req, res) => {
+    try {
+      const since = req.query.since !== undefined ? String(req.query.since) : undefined;
+      if (since === undefined) {
+        const after = req.query.after ? String(req.query.after) : null;
+        if (after && after.length > MAX_ID_LENGTH) {
+          return res.status(400).json({ error: "after too long" });
+        }
+        const cursor = after ? undefined : formatHeadsCursor((await db.log.heads()).map((head) => head.hash));
+        const docs = (await db.all())
+          .filter((doc) => !doc.key.startsWith("__") && (after === null || doc.key > after))
+          .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+        const page = docs.slice(0, SNAPSHOT_PAGE);
+        return res.json({
+          changes: page.map((doc) => ({ op: "put", key: doc.key, doc: doc.value, hash: doc.hash, clock: null })),
+          ...(cursor !== undefined ? { cursor } : {}),
+          next_after: docs.length > SNAPSHOT_PAGE ? page[page.length - 1].key : null,
+        });
+      }
+      if (since.length > MAX_CURSOR_LENGTH) {
+        return res.status(400).json({ error: "Cursor too long" });
+      }
+      let result;
+      if (/^\d+$/.test(since)) {
+        result = await changesSinceClock(db, Number(since), MAX_CHANGES_WALK);
+      } else {
+        const heads = parseHeadsCursor(since);
+        result = heads ? await changesSince(db, heads, MAX_CHANGES_WALK) : null;
+      }
+      if (!result) {
+        return res.status(410).json({ error: "Cursor can no longer be resumed — re-read the full collection" });
+      }
+      res.json(result);
+    } catch (err) {
+      console.error(`GET /${name}/changes error:`, err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Document conflicts handler shared by the registry routers.
+ *
+ * GET /<db>/:id/conflicts — concurrent writes to the document that the
+ * Documents store resolved by log order (findConflicts() in oplog.js):
+ *
+ *   { "id": "...", "truncated": false,
+ *     "current": {"op": "put", "timestamp", "clock", "identity", "writer", "hash", "doc"},
+ *     "conflicts": [{"op": "put", ..., "writer": "<other station's key>", "doc": {...}}] }
+ *
+ * `current` is the version being served and `conflicts` the losing
+ * versions, newest first — each written without seeing the current one, so
+ * its change was dropped. `writer` tells which peers are fighting over the
+ * id. No conflicts gives an empty list (and `current` null when there is
+ * nothing to compare). Only operations still in the oplog (30-day TTL) are
+ * considered; `truncated` is set when the walk stopped before the start of
+ * the log.
+ *
+ * Document responses (GET /<db>/:id and the lists) flag conflicted ids with
+ * `"conflicts": <losing versions>`, from the background check in
+ * ../conflicts.js; the field is absent when there are none.
+ */
+
+import { describeVersion, findConflicts } from "../oplog.js";
+
+const MAX_CONFLICT_WALK = 50_000;
+const MAX_ID_LENGTH = 256;
+
+/**
+ * `doc` with its `conflicts` count from the monitor added, if it has any.
+ *
+ * @param {object|null} monitor - from createConflictMonitor(), or null
+ * @param {string} name - database name
+ * @param {object} doc
+ */
+export function flagConflicts(monitor, name, doc) {
+  const count = monitor ? monitor.count(name, doc._id) : 0;
+  return count > 0 ? { ...doc, conflicts: count } : doc;
+}
+
+/**
+ * @param {object} db - OrbitDB Documents database
+ * @param {string} name - database name for logging
+ * @param {string} [param] - route parameter holding the document id
+ */
+export function createConflictsHandler(db, name, param = "id") {
+  return async (req, res) => {
+    try {
+      const id = req.params[param];
+      if (id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
+      }
+      const { conflicts, keys, truncated } = await findConflicts(db, { key: id, walkLimit: MAX_CONFLICT_WALK });
+      if (!keys.has(id) && !truncated) {
+        return res.status(404).json({ error: "not found" });
+      }
+      const found = conflicts.get(id);
+      res.json({
+        id,
+        truncated,
+        current: found ? describeVersion(found.winner) : null,
+        conflicts: found ? found.losing.map(describeVersion) : [],
+      });
+    } catch (err) {
+      console.error(`GET /${name}/:id/conflicts error:`, err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  };
+}
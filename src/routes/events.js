@@ -0,0 +1,151 @@
+/**
+ * Server-Sent Events change feed.
+ *
+ * GET /events?db=nodes,trust,stores — stream put/del events as they reach
+ *                                    this station (default: all databases)
+ *
+ * Each event:
+ *   id:    nodes:<hash>,<hash>;trust:<hash>  — log heads streamed up to, per database
+ *   event: put | del
+ *   data:  {"db", "op", "key", "doc", "hash", "clock"}
+ *
+ * Every oplog entry that reaches this station is streamed. A sync
+ * joins a peer's entries in one update, and a peer that was offline can
+ * bring a branch of entries with old clocks, so each update is turned
+ * into events by diffing the log heads last streamed against the current
+ * ones (entriesSince() in oplog.js), oldest first.
+ *
+ * The id holds a heads cursor for every subscribed database, so a
+ * reconnecting client (EventSource does this automatically via
+ * Last-Event-ID) gets the entries it missed replayed from the local oplog
+ * before live events resume. Only the last event of each batch carries an
+ * id, so a client cut off mid-batch gets the batch again. If a cursor
+ * can't be resumed — a head aged out of the oplog TTL or too much has
+ * changed — a `reset` event for that database tells the client to re-read
+ * it in full, and streaming goes on from the current heads.
+ *
+ * Internal documents (`__`-prefixed ids) are not streamed.
+ */
+
+import { Router } from "express";
+import { entriesSince, describeEntry, formatHeadsCursor, parseHeadsCursor } from "../oplog.js";
+
+const MAX_CLIENTS = 100;
+const MAX_REPLAY = 1000;
+const KEEPALIVE_MS = 25_000;
+
+function parseCursor(lastEventId) {
+  const cursors = {};
+  for (const part of (lastEventId || "").split(";")) {
+    const separator = part.indexOf(":");
+    if (separator < 1) continue;
+    const heads = parseHeadsCursor(part.slice(separator + 1));
+    if (heads) cursors[part.slice(0, separator)] = heads;
+  }
+  return cursors;
+}
+
+function formatCursor(cursors) {
+  return Object.entries(cursors)
+    .map(([name, heads]) => `${name}:${formatHeadsCursor(heads)}`)
+    .join(";");
+}
+
+/**
+ * @param {{nodes: object, trust: object, stores: object}} dbs
+ */
+export function createEventsRouter(dbs) {
+  const router = Router();
+  let clients = 0;
+
+  router.get("/", async (req, res) => {
+    const names = req.query.db
+      ? String(req.query.db).split(",").map((s) => s.trim()).filter(Boolean)
+      : Object.keys(dbs);
+    const unknown = names.filter((name) => !(name in dbs));
+    if (unknown.length > 0 || names.length === 0) {
+      return res.status(400).json({ error: `Unknown database: ${unknown.join(", ")}`, allowed: Object.keys(dbs) });
+    }
+    if (clients >= MAX_CLIENTS) {
+      return res.status(503).json({ error: "Too many event stream clients" });
+    }
+
+    clients++;
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders?.();
+
+    const resume = parseCursor(req.get("Last-Event-ID") || req.query.last_event_id);
+    const cursors = {};
+    let closed = false;
+
+    // Stream what is new in `name` since the heads last streamed (or since
+    // the resume cursor, the first time)
+    const catchUp = async (name) => {
+      const since = cursors[name];
+      if (!since) {
+        cursors[name] = (await dbs[name].log.heads()).map((head) => head.hash);
+        return;
+      }
+      const diff = await entriesSince(dbs[name], since, MAX_REPLAY);
+      if (closed) return;
+      if (diff === null) {
+        cursors[name] = (await dbs[name].log.heads()).map((head) => head.hash);
+        res.write(`event: reset\ndata: ${JSON.stringify({ db: name, reason: "cursor not resumable" })}\n\n`);
+        return;
+      }
+      const events = diff.entries.map(describeEntry).filter((event) => !event.key?.startsWith("__"));
+      cursors[name] = diff.heads;
+      // Only the last event of a batch moves the cursor, so a client cut
+      // off part-way gets the whole batch again
+      events.forEach((event, i) => {
+        const id = i === events.length - 1 ? `id: ${formatCursor(cursors)}\n` : "";
+        res.write(`${id}event: ${event.op}\ndata: ${JSON.stringify({ db: name, ...event })}\n\n`);
+      });
+    };
+
+    // Updates are handled one at a time, in order, each catching up to the
+    // heads at that moment; one arriving during a catch-up is covered by
+    // the next.
+    let queue = Promise.resolve();
+    const schedule = (name) => {
+      queue = queue.then(() => (closed ? null : catchUp(name))).catch((err) => {
+        console.warn(`GET /events ${name} catch-up error: ${err.message}`);
+      });
+    };
+
+    const listeners = {};
+    for (const name of names) {
+      listeners[name] = () => schedule(name);
+      dbs[name].events.on("update", listeners[name]);
+    }
+
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+    req.on("close", () => {
+      closed = true;
+      clearInterval(keepalive);
+      for (const name of names) {
+        dbs[name].events.off("update", listeners[name]);
+      }
+      clients--;
+    });
+
+    // Resolve every database's starting heads before replaying, so each
+    // event id carries a resumable cursor for all of them.
+    for (const name of names) {
+      if (resume[name]) cursors[name] = resume[name];
+    }
+    for (const name of names) {
+      if (!resume[name]) schedule(name);
+    }
+    for (const name of names) {
+      if (resume[name]) schedule(name);
+    }
+  });
+
+  return router;
+}
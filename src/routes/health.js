@@ -1,7 +1,11 @@
 /**
  * Health check endpoint.
  *
- * GET /health — Service status, peer count, database sizes, libp2p peer ID.
+ * GET /health — Service status, peer count, database sizes, libp2p peer ID,
+ *               whether this station is a read-only replica, and per
+ *               database the concurrent-write conflicts found (conflicts.js).
+ *               `databases_down` lists databases left closed by a failed
+ *               admin reopen (db-repair.js); the status is then "degraded".
  *
  * Database sizes are maintained via event listeners (not queried per-request)
  * to avoid blocking the event loop on large databases.
@@ -10,9 +14,10 @@
 import { Router } from "express";
 
 /**
- * @param {{helia: object, dbs: {nodes: object, trust: object, attestations: object, stores: object}}} ctx
+ * @param {{helia: object, dbs: {nodes: object, trust: object, attestations: object, stores: object}, readOnly?: boolean,
+ *   conflicts?: object|null, repair?: object|null}} ctx
  */
-export function createHealthRouter({ helia, dbs }) {
+export function createHealthRouter({ helia, dbs, readOnly = false, conflicts = null, repair = null }) {
   const router = Router();
 
   // Maintain document counts via events instead of calling .all() per request.
@@ -50,8 +55,10 @@ export function createHealthRouter({ helia, dbs }) {
         for (const p of subs) wesensePeerSet.add(p.toString());
       }
 
+      const down = repair ? repair.down() : {};
       res.json({
-        status: "ok",
+        status: Object.keys(down).length > 0 ? "degraded" : "ok",
+        read_only: readOnly,
         peer_count: peers.length,
         wesense_peer_count: wesensePeerSet.size,
         wesense_peers: [...wesensePeerSet],
@@ -69,6 +76,8 @@ export function createHealthRouter({ helia, dbs }) {
           stores: dbs.stores.address.toString(),
         },
         gossipsub_topics: topicPeers,
+        conflicts: conflicts ? conflicts.stats() : null,
+        databases_down: down,
       });
     } catch (err) {
       console.error("GET /health error:", err);
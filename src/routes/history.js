@@ -0,0 +1,50 @@
+/**
+ * Document history handler shared by the registry routers.
+ *
+ * GET /<db>/:id/history?limit=50 — every operation on the document still
+ * in the oplog (30-day TTL, see databases.js), newest first:
+ *
+ *   { "id": "...", "truncated": false,
+ *     "versions": [{"op": "put", "timestamp", "clock", "identity", "writer", "hash", "doc"},
+ *                  {"op": "del", "timestamp": null, ..., "doc": null}] }
+ *
+ * `identity` is the hash of the writing OrbitDB identity and `writer` its
+ * public key, so an unexpected change can be traced to the peer that made
+ * it. `timestamp` is the document's own updated_at — set by the writer,
+ * unlike the Lamport `clock`, which orders entries across peers.
+ */
+
+import { keyHistory } from "../oplog.js";
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+const MAX_HISTORY_WALK = 50_000;
+const MAX_ID_LENGTH = 256;
+
+/**
+ * @param {object} db - OrbitDB Documents database
+ * @param {string} name - database name for logging
+ * @param {string} [param] - route parameter holding the document id
+ */
+export function createHistoryHandler(db, name, param = "id") {
+  return async (req, res) => {
+    try {
+      const id = req.params[param];
+      if (id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
+      }
+      const limit = req.query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}` });
+      }
+      const { versions, truncated } = await keyHistory(db, id, { limit, walkLimit: MAX_HISTORY_WALK });
+      if (versions.length === 0 && !truncated) {
+        return res.status(404).json({ error: "not found" });
+      }
+      res.json({ id, truncated, versions });
+    } catch (err) {
+      console.error(`GET /${name}/:id/history error:`, err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  };
+}
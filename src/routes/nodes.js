@@ -1,43 +1,220 @@
 /**
  * Node registry CRUD routes.
  *
- * PUT  /nodes/:id     — Register/update node
- * GET  /nodes         — List all nodes (optional ?country= filter)
+ * PUT  /nodes/:id     — Register/update node (replaces the document)
+ * PATCH /nodes/:id    — Merge fields into the node (JSON Merge Patch, see
+ *                       merge-patch.js; null removes a field)
+ * GET  /nodes         — List nodes (filters below; ?limit, ?cursor, ?sort,
+ *                       ?fields — see list-query.js)
+ * GET  /nodes/changes — Changes since a cursor (?since=, see changes.js)
  * GET  /nodes/:id     — Get specific node
- * DELETE /nodes/:id   — Remove node
+ * GET  /nodes/:id/history — Every version still in the oplog (see history.js)
+ * GET  /nodes/:id/conflicts — Versions lost to concurrent writes (see conflicts.js)
+ * DELETE /nodes/:id   — Remove node (operator only, see below)
+ *
+ * Registrations must be signed by the ingester's key in wesense.trust:
+ * the body carries `key_version` and `signature` (base64 Ed25519 over the
+ * canonical document — see signing.js). With signatureMode "log" failures
+ * are logged and the write is accepted, for the transition period while
+ * ingesters roll out signing. A PATCH is checked the same way after
+ * merging, so its `signature` must cover the merged document — fetch the
+ * current node, apply the patch, sign, and send the patch with the new
+ * signature. The signature leaves out the fields storage-broker owns
+ * (BROKER_FIELDS in signing.js: iroh_*, archive_replicator_port,
+ * store_scope), so the broker patches those without the ingester's key
+ * and the ingester's signature stays valid. The broker signs them itself
+ * instead: `broker_key_version` and `broker_signature` (over
+ * brokerStatement() in signing.js) with its key in wesense.trust, under
+ * the `broker_id` the ingester signed into the record, or the ingester's
+ * own key if it names none. A node carrying broker fields without a valid
+ * broker signature is refused like an unsigned one, so an ingester's PUT
+ * must carry the broker's slice and signature over unchanged (or drop
+ * them).
+ *
+ * DELETE writes a deletion every peer accepts from this station
+ * (DELETE_WRITERS), so it requires `Authorization: Bearer <ADMIN_TOKEN>`
+ * (401 without it; 403 when no ADMIN_TOKEN is configured).
+ *
+ * GET /nodes filters combine with AND; comma-separated values within
+ * one parameter as noted:
+ *
+ *   ?country=nz                — `regions` contains exactly this entry
+ *   ?in_country=nz             — `regions` contains the country or one of
+ *                                its subdivisions (as /stores?country=)
+ *   ?region=nz/akl             — a `regions` entry matches, wildcards
+ *                                included, as for /stores?region=
+ *   ?type=orbitdb-peer,ingester — any of these types
+ *   ?source=...                — any of these sources
+ *   ?capabilities=archive,iroh — has all of these capabilities
+ *   ?has=iroh_endpoint         — all of these fields are set
+ *   ?min_version=1.4&max_version=2 — numeric dotted version range, inclusive
+ *   ?status=online,recent      — any of these presence statuses
+ *   ?at=2026-10-01T00:00:00Z   — the registry as it was at that time,
+ *                                rebuilt from the oplog (see oplog.js);
+ *                                no presence fields, so no ?status=.
+ *                                `undated_deletions` lists nodes deleted
+ *                                around then, possibly after `at`
+ *
+ * Listed and fetched nodes carry computed presence fields — `status`
+ * (online, recent or stale), `last_seen` and `prunes_in_seconds` — from
+ * this station's view of the network (see presence.js). They are not
+ * stored, and are ignored if a client sends them back.
+ *
+ * GET /nodes/:id returns an ETag; PUT, PATCH and DELETE honour If-Match
+ * and answer 412 if the node changed in between (see etag.js).
+ *
+ * Registrations are checked field by field against NODE_SCHEMA
+ * (schema.js); a bad one is refused with a 400 listing every field error.
  */
 
 import { Router } from "express";
+import { createChangesHandler } from "./changes.js";
+import { createHistoryHandler } from "./history.js";
+import { createConflictsHandler, flagConflicts } from "./conflicts.js";
+import { documentsAt, parsePointInTime } from "../oplog.js";
+import { parseListQuery, applyListQuery } from "../list-query.js";
+import { verifyNodeDocument } from "../signing.js";
+import { NODE_SCHEMA, validateDocument } from "../schema.js";
+import { mergePatch } from "../merge-patch.js";
+import { checkIfMatch, createKeyLock, getDocumentEntry } from "../etag.js";
+import { NODE_STATUSES } from "../presence.js";
+import { anyScopeMatches } from "../regions.js";
+import { requireBearerToken } from "../auth.js";
 
 /**
  * @param {object} nodesDb - OrbitDB Documents database (indexBy: ingester_id)
+ * @param {{trustDb: object, signatureMode?: "enforce"|"log", token?: string, presence?: object, conflicts?: object}} options
+ *   token — ADMIN_TOKEN; empty disables DELETE
+ *   conflicts — conflict monitor (conflicts.js) whose counts flag nodes in responses
  */
-// Allowed fields for node registration — reject anything else
-const NODE_ALLOWED_FIELDS = new Set([
-  "ingester_id", "node_name", "regions", "version", "uptime",
-  "zenoh_endpoint", "zenoh_endpoint_lan", "zenoh_proxy",
-  "iroh_node_id", "iroh_endpoint", "iroh_address", "iroh_quic_port",
-  "archive_replicator_port", "iroh_sidecar_port",  // iroh_sidecar_port kept for backward compat
-  "iroh_relay_urls", "announce_address",
-  "guardian_scope", "store_scope",  // store_scope kept for backward compat
-  "capabilities", "source", "type", "public_key", "key_version",
-]);
+const NODE_SORT_FIELDS = ["ingester_id", "node_name", "updated_at", "version", "last_seen", "prunes_in_seconds"];
 const MAX_ID_LENGTH = 256;
-const MAX_FIELD_VALUE_LENGTH = 4096;
-
-function sanitizeBody(body, allowedFields) {
-  if (!body || typeof body !== "object" || Array.isArray(body)) return {};
-  const clean = {};
-  for (const [key, value] of Object.entries(body)) {
-    if (!allowedFields.has(key)) continue;
-    if (typeof value === "string" && value.length > MAX_FIELD_VALUE_LENGTH) continue;
-    clean[key] = value;
+
+function splitList(value) {
+  return String(value).split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+// Dotted numeric version, e.g. "v1.4.2-beta" → [1, 4, 2]; null if unparseable
+function parseVersion(value) {
+  const match = /^v?(\d+(?:\.\d+)*)/.exec(String(value ?? "").trim());
+  return match ? match[1].split(".").map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function hasCapability(capabilities, name) {
+  if (Array.isArray(capabilities)) return capabilities.includes(name);
+  if (capabilities && typeof capabilities === "object") return Boolean(capabilities[name]);
+  return false;
+}
+
+function isSet(value) {
+  if (value === undefined || value === null || value === "") return false;
+  return !Array.isArray(value) || value.length > 0;
+}
+
+/**
+ * Build the GET /nodes filter predicates from the query string.
+ *
+ * @returns {{filters: Array<(node: object) => boolean>} | {error: string}}
+ */
+function parseNodeFilters(query) {
+  const filters = [];
+
+  const regionsLower = (n) =>
+    Array.isArray(n.regions) ? n.regions.map((r) => (typeof r === "string" ? r.toLowerCase() : "")) : [];
+  if (query.country) {
+    const country = String(query.country).toLowerCase();
+    filters.push((n) => regionsLower(n).includes(country));
+  }
+  if (query.in_country) {
+    const country = String(query.in_country).toLowerCase();
+    // A bare country code, or any subdivision of it as for /stores?country=
+    filters.push((n) => regionsLower(n).some((r) => r === country || r.startsWith(country + "/")));
+  }
+  if (query.region) {
+    const region = String(query.region).toLowerCase();
+    filters.push((n) => anyScopeMatches(n.regions, region));
+  }
+  for (const field of ["type", "source"]) {
+    if (!query[field]) continue;
+    const values = splitList(query[field]);
+    filters.push((n) => values.includes(n[field]));
+  }
+  if (query.capabilities) {
+    const required = splitList(query.capabilities);
+    filters.push((n) => required.every((c) => hasCapability(n.capabilities, c)));
+  }
+  if (query.has) {
+    const fields = splitList(query.has);
+    const unknown = fields.filter((f) => !Object.hasOwn(NODE_SCHEMA, f));
+    if (unknown.length > 0) return { error: `Unknown field in has: ${unknown.join(", ")}` };
+    filters.push((n) => fields.every((f) => isSet(n[f])));
   }
-  return clean;
+  for (const [param, keep] of [["min_version", (c) => c >= 0], ["max_version", (c) => c <= 0]]) {
+    if (!query[param]) continue;
+    const bound = parseVersion(query[param]);
+    if (!bound) return { error: `${param} must be a dotted version number` };
+    filters.push((n) => {
+      const version = parseVersion(n.version);
+      return version !== null && keep(compareVersions(version, bound));
+    });
+  }
+  if (query.status) {
+    const statuses = splitList(String(query.status).toLowerCase());
+    const unknown = statuses.filter((s) => !NODE_STATUSES.includes(s));
+    if (unknown.length > 0) return { error: `Unknown status: ${unknown.join(", ")} (allowed: ${NODE_STATUSES.join(", ")})` };
+    filters.push((n) => statuses.includes(n.status));
+  }
+
+  return { filters };
 }
 
-export function createNodesRouter(nodesDb) {
+export function createNodesRouter(nodesDb, {
+  trustDb, signatureMode = "enforce", token = "", presence = null, conflicts = null,
+}) {
   const router = Router();
+  const requireToken = requireBearerToken(token, "Node deletion is disabled (ADMIN_TOKEN not set)");
+
+  const withPresence = (doc) => (presence ? { ...doc, ...presence.describe(doc) } : doc);
+  const withConflicts = (doc) => flagConflicts(conflicts, "nodes", doc);
+  const withLock = createKeyLock();
+
+  // Validate, verify and store a node document built from `body`.
+  // Shared by PUT and PATCH; `route` names the caller for logs.
+  const saveNode = async (res, route, ingester_id, body) => {
+    const { doc: fields, errors } = validateDocument(NODE_SCHEMA, body);
+    if (fields.ingester_id !== undefined && fields.ingester_id !== ingester_id) {
+      errors.push({ field: "ingester_id", error: "does not match the URL" });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid document", fields: errors });
+    }
+    const doc = {
+      _id: ingester_id,
+      ingester_id,
+      ...fields,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { valid, reason } = await verifyNodeDocument(trustDb, doc);
+    if (!valid) {
+      if (signatureMode !== "log") {
+        return res.status(403).json({ error: "Signature verification failed", reason });
+      }
+      console.warn(`${route} /nodes/${ingester_id}: signature check failed (${reason}) — accepted (SIGNATURE_MODE=log)`);
+    }
+
+    const hash = await nodesDb.put(doc);
+    res.set("ETag", `"${hash}"`);
+    res.json({ ok: true, ingester_id });
+  };
 
   // Register or update a node
   router.put("/:id", async (req, res) => {
@@ -46,46 +223,97 @@ export function createNodesRouter(nodesDb) {
       if (ingester_id.length > MAX_ID_LENGTH) {
         return res.status(400).json({ error: "ID too long" });
       }
-      const sanitized = sanitizeBody(req.body, NODE_ALLOWED_FIELDS);
-      const doc = {
-        _id: ingester_id,
-        ingester_id,
-        ...sanitized,
-        updated_at: new Date().toISOString(),
-      };
-      await nodesDb.put(doc);
-      res.json({ ok: true, ingester_id });
+      await withLock(ingester_id, async () => {
+        if (!checkIfMatch(req, res, await getDocumentEntry(nodesDb, ingester_id))) return;
+        await saveNode(res, "PUT", ingester_id, req.body ?? {});
+      });
     } catch (err) {
       console.error("PUT /nodes/:id error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
 
+  // Merge fields into a node; creates it if it doesn't exist yet
+  router.patch("/:id", async (req, res) => {
+    try {
+      const ingester_id = req.params.id;
+      if (ingester_id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
+      }
+      if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+        return res.status(400).json({ error: "Patch must be a JSON object" });
+      }
+      await withLock(ingester_id, async () => {
+        const entry = await getDocumentEntry(nodesDb, ingester_id);
+        if (!checkIfMatch(req, res, entry)) return;
+        await saveNode(res, "PATCH", ingester_id, mergePatch(entry?.value ?? {}, req.body));
+      });
+    } catch (err) {
+      console.error("PATCH /nodes/:id error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
   // List all nodes
   router.get("/", async (req, res) => {
     try {
-      const all = await nodesDb.all();
-      let nodes = all.map((entry) => entry.value)
-        .filter((n) => !n._id.startsWith("__"));
-
-      // Optional country filter
-      if (req.query.country) {
-        const country = req.query.country.toLowerCase();
-        nodes = nodes.filter(
-          (n) =>
-            n.regions &&
-            n.regions.some &&
-            n.regions.some((r) => r.toLowerCase() === country)
-        );
+      const listQuery = parseListQuery(req.query, { sortFields: NODE_SORT_FIELDS });
+      if (listQuery.error) {
+        return res.status(400).json({ error: listQuery.error });
+      }
+      const parsed = parseNodeFilters(req.query);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      let docs;
+      let pointInTimeFields = {};
+      if (req.query.at !== undefined) {
+        const pointInTime = parsePointInTime(req.query.at);
+        if (pointInTime.error) {
+          return res.status(400).json({ error: pointInTime.error });
+        }
+        if (req.query.status) {
+          return res.status(400).json({ error: "status is current presence and cannot be combined with at" });
+        }
+        const rebuilt = await documentsAt(nodesDb, pointInTime.at);
+        if (!rebuilt) {
+          return res.status(503).json({ error: "Oplog too large to rebuild a point in time" });
+        }
+        if (rebuilt.busy) {
+          res.set("Retry-After", "5");
+          return res.status(503).json({ error: "Too many point-in-time reads in progress — retry shortly" });
+        }
+        docs = rebuilt.docs;
+        pointInTimeFields = {
+          at: new Date(pointInTime.at).toISOString(),
+          undated_deletions: rebuilt.undatedDeletions,
+        };
+      } else {
+        const all = await nodesDb.all();
+        docs = all.map((entry) => withConflicts(withPresence(entry.value)));
       }
+      const nodes = docs
+        .filter((n) => !n._id.startsWith("__"))
+        .filter((n) => parsed.filters.every((matches) => matches(n)));
 
-      res.json({ nodes });
+      const { items, total, next_cursor } = applyListQuery(nodes, listQuery);
+      res.json({ nodes: items, total, next_cursor, ...pointInTimeFields });
     } catch (err) {
       console.error("GET /nodes error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
 
+  // Changes since a cursor (must be before /:id to avoid route conflict)
+  router.get("/changes", createChangesHandler(nodesDb, "nodes"));
+
+  // Oplog history of a node
+  router.get("/:id/history", createHistoryHandler(nodesDb, "nodes"));
+
+  // Versions of a node lost to concurrent writes
+  router.get("/:id/conflicts", createConflictsHandler(nodesDb, "nodes"));
+
   // Get specific node
   router.get("/:id", async (req, res) => {
     try {
@@ -96,7 +324,8 @@ export function createNodesRouter(nodesDb) {
       if (!doc || doc.length === 0) {
         return res.status(404).json({ error: "not found" });
       }
-      res.json(doc[0].value);
+      res.set("ETag", `"${doc[0].hash}"`);
+      res.json(withConflicts(withPresence(doc[0].value)));
     } catch (err) {
       console.error("GET /nodes/:id error:", err);
       res.status(500).json({ error: "Internal error" });
@@ -104,13 +333,16 @@ export function createNodesRouter(nodesDb) {
   });
 
   // Remove node
-  router.delete("/:id", async (req, res) => {
+  router.delete("/:id", requireToken, async (req, res) => {
     try {
       if (req.params.id.length > MAX_ID_LENGTH) {
         return res.status(400).json({ error: "ID too long" });
       }
-      await nodesDb.del(req.params.id);
-      res.json({ ok: true, deleted: req.params.id });
+      await withLock(req.params.id, async () => {
+        if (!checkIfMatch(req, res, await getDocumentEntry(nodesDb, req.params.id))) return;
+        await nodesDb.del(req.params.id);
+        res.json({ ok: true, deleted: req.params.id });
+      });
     } catch (err) {
       console.error("DELETE /nodes/:id error:", err);
       res.status(500).json({ error: "Internal error" });
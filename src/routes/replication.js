@@ -0,0 +1,50 @@
+/**
+ * Replication status endpoint.
+ *
+ * GET /replication — Per database: our heads, recent sync errors and, for
+ *                    each connected (or recently departed) WeSense peer,
+ *                    the heads it last sent or announced, whether they
+ *                    are in our log, when heads were last exchanged and
+ *                    last heard (`heads_at`), sync errors tied to it, and
+ *                    the resulting sync state (replication-status.js).
+ *                    ?db=nodes,trust to limit databases, ?peer=<peer ID>
+ *                    to limit peers.
+ *
+ * `stations` summarises the same data per peer: its sync state in each
+ * database.
+ */
+
+import { Router } from "express";
+
+/**
+ * @param {object} tracker - from createReplicationTracker()
+ */
+export function createReplicationRouter(tracker) {
+  const router = Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const names = typeof req.query.db === "string" && req.query.db
+        ? req.query.db.split(",").map((s) => s.trim()).filter(Boolean)
+        : null;
+      const peer = typeof req.query.peer === "string" && req.query.peer ? req.query.peer : null;
+      const databases = await tracker.report({ names, peer });
+
+      const stations = {};
+      for (const [name, status] of Object.entries(databases)) {
+        for (const p of status.peers) {
+          stations[p.peer_id] ??= { connected: false, databases: {} };
+          stations[p.peer_id].connected ||= p.connected;
+          stations[p.peer_id].databases[name] = p.sync;
+        }
+      }
+
+      res.json({ generated_at: new Date().toISOString(), databases, stations });
+    } catch (err) {
+      console.error("GET /replication error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  return router;
+}
@@ -2,41 +2,94 @@
  * Store scope registry CRUD routes + replication aggregation.
  *
  * PUT    /stores/:id        — Register/update store scope for a node
- * GET    /stores            — List all stores (optional ?country= or ?region= filter)
- * GET    /stores/replication — Replication factor per region
+ * PATCH  /stores/:id        — Merge fields into the store (JSON Merge Patch,
+ *                              see merge-patch.js; null removes a field)
+ * GET    /stores            — List stores (optional ?country= or ?region= filter;
+ *                              ?limit, ?cursor, ?sort, ?fields — see list-query.js)
+ * GET    /stores/replication — Replication factor per region; ?at=<ISO timestamp>
+ *                              for the coverage at that time (see oplog.js)
+ * GET    /stores/changes    — Changes since a cursor (?since=, see changes.js)
  * GET    /stores/:id        — Get specific store
- * DELETE /stores/:id        — Remove store
+ * GET    /stores/:id/history — Every version still in the oplog (see history.js)
+ * GET    /stores/:id/conflicts — Versions lost to concurrent writes (see conflicts.js)
+ * DELETE /stores/:id        — Remove store (operator only, see below)
+ *
+ * Registrations are signed by the registering station (storage-broker):
+ * the body carries its `ingester_id` and `key_version` in wesense.trust
+ * and `signature`, base64 Ed25519 over the canonical document less _id
+ * and updated_at (signing.js). Peers check the same signature when the
+ * record replicates (validation.js). With signatureMode "log" failures are
+ * logged and the write is accepted. As for nodes, a PATCH must carry the
+ * signature of the merged document.
+ *
+ * DELETE writes a deletion every peer accepts from this station
+ * (DELETE_WRITERS), so it requires `Authorization: Bearer <ADMIN_TOKEN>`
+ * (401 without it; 403 when no ADMIN_TOKEN is configured).
+ *
+ * GET /stores/:id returns an ETag; PUT, PATCH and DELETE honour If-Match
+ * and answer 412 if the store changed in between (see etag.js).
+ *
+ * Registrations are checked field by field against STORE_SCHEMA
+ * (schema.js); a bad one is refused with a 400 listing every field error.
  */
 
 import { Router } from "express";
+import { createChangesHandler } from "./changes.js";
+import { createHistoryHandler } from "./history.js";
+import { createConflictsHandler, flagConflicts } from "./conflicts.js";
+import { documentsAt, parsePointInTime } from "../oplog.js";
+import { parseListQuery, applyListQuery } from "../list-query.js";
+import { anyScopeMatches } from "../regions.js";
+import { STORE_SCHEMA, validateDocument } from "../schema.js";
+import { mergePatch } from "../merge-patch.js";
+import { checkIfMatch, createKeyLock, getDocumentEntry } from "../etag.js";
+import { SERVICE_FIELDS, verifySignedDocument } from "../signing.js";
+import { requireBearerToken } from "../auth.js";
 
 /**
  * @param {object} storesDb - OrbitDB Documents database
+ * @param {{trustDb: object, signatureMode?: "enforce"|"log", token?: string, conflicts?: object}} options
+ *   token — ADMIN_TOKEN; empty disables DELETE
+ *   conflicts — conflict monitor (conflicts.js) whose counts flag stores in responses
  */
 const MAX_ID_LENGTH = 256;
-const STORE_ALLOWED_FIELDS = new Set([
-  "store_id", "iroh_node_id", "iroh_endpoint", "store_scope",
-  "announce_address", "capabilities", "source",
-]);
-const MAX_STORE_SCOPE_ENTRIES = 50;
-
-function sanitizeStoreBody(body) {
-  if (!body || typeof body !== "object" || Array.isArray(body)) return {};
-  const clean = {};
-  for (const [key, value] of Object.entries(body)) {
-    if (!STORE_ALLOWED_FIELDS.has(key)) continue;
-    if (key === "store_scope" && Array.isArray(value)) {
-      clean[key] = value.slice(0, MAX_STORE_SCOPE_ENTRIES)
-        .filter((s) => typeof s === "string" && s.length < 64);
-    } else {
-      clean[key] = value;
-    }
-  }
-  return clean;
-}
+const STORE_SORT_FIELDS = ["store_id", "iroh_node_id", "updated_at"];
 
-export function createStoresRouter(storesDb) {
+export function createStoresRouter(storesDb, { trustDb, signatureMode = "enforce", token = "", conflicts = null }) {
   const router = Router();
+  const withConflicts = (doc) => flagConflicts(conflicts, "stores", doc);
+  const withLock = createKeyLock();
+  const requireToken = requireBearerToken(token, "Store deletion is disabled (ADMIN_TOKEN not set)");
+
+  // Validate, verify and store a store document built from `body` (PUT
+  // and PATCH); `route` names the caller for logs.
+  const saveStore = async (res, route, store_id, body) => {
+    const { doc: fields, errors } = validateDocument(STORE_SCHEMA, body);
+    if (fields.store_id !== undefined && fields.store_id !== store_id) {
+      errors.push({ field: "store_id", error: "does not match the URL" });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid document", fields: errors });
+    }
+    const doc = {
+      _id: store_id,
+      store_id,
+      ...fields,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { valid, reason } = await verifySignedDocument(trustDb, doc, SERVICE_FIELDS);
+    if (!valid) {
+      if (signatureMode !== "log") {
+        return res.status(403).json({ error: "Signature verification failed", reason });
+      }
+      console.warn(`${route} /stores/${store_id}: signature check failed (${reason}) — accepted (SIGNATURE_MODE=log)`);
+    }
+
+    const hash = await storesDb.put(doc);
+    res.set("ETag", `"${hash}"`);
+    res.json({ ok: true, store_id });
+  };
 
   // Register or update store scope for a node
   router.put("/:id", async (req, res) => {
@@ -45,28 +98,67 @@ export function createStoresRouter(storesDb) {
       if (store_id.length > MAX_ID_LENGTH) {
         return res.status(400).json({ error: "ID too long" });
       }
-      const sanitized = sanitizeStoreBody(req.body);
-      const doc = {
-        _id: store_id,
-        store_id,
-        ...sanitized,
-        updated_at: new Date().toISOString(),
-      };
-      await storesDb.put(doc);
-      res.json({ ok: true, store_id });
+      await withLock(store_id, async () => {
+        if (!checkIfMatch(req, res, await getDocumentEntry(storesDb, store_id))) return;
+        await saveStore(res, "PUT", store_id, req.body ?? {});
+      });
     } catch (err) {
       console.error("PUT /stores/:id error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
 
+  // Merge fields into a store; creates it if it doesn't exist yet
+  router.patch("/:id", async (req, res) => {
+    try {
+      const store_id = req.params.id;
+      if (store_id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
+      }
+      if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+        return res.status(400).json({ error: "Patch must be a JSON object" });
+      }
+      await withLock(store_id, async () => {
+        const entry = await getDocumentEntry(storesDb, store_id);
+        if (!checkIfMatch(req, res, entry)) return;
+        await saveStore(res, "PATCH", store_id, mergePatch(entry?.value ?? {}, req.body));
+      });
+    } catch (err) {
+      console.error("PATCH /stores/:id error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  // Changes since a cursor (must be before /:id to avoid route conflict)
+  router.get("/changes", createChangesHandler(storesDb, "stores"));
+
   // Replication factor per region (must be before /:id to avoid route conflict)
   router.get("/replication", async (req, res) => {
     try {
-      const all = await storesDb.all();
-      const stores = all
-        .map((entry) => entry.value)
-        .filter((s) => !s._id.startsWith("__"));
+      let docs;
+      let pointInTimeFields = {};
+      if (req.query.at !== undefined) {
+        const pointInTime = parsePointInTime(req.query.at);
+        if (pointInTime.error) {
+          return res.status(400).json({ error: pointInTime.error });
+        }
+        const rebuilt = await documentsAt(storesDb, pointInTime.at);
+        if (!rebuilt) {
+          return res.status(503).json({ error: "Oplog too large to rebuild a point in time" });
+        }
+        if (rebuilt.busy) {
+          res.set("Retry-After", "5");
+          return res.status(503).json({ error: "Too many point-in-time reads in progress — retry shortly" });
+        }
+        docs = rebuilt.docs;
+        pointInTimeFields = {
+          at: new Date(pointInTime.at).toISOString(),
+          undated_deletions: rebuilt.undatedDeletions,
+        };
+      } else {
+        docs = (await storesDb.all()).map((entry) => entry.value);
+      }
+      const stores = docs.filter((s) => !s._id.startsWith("__"));
 
       // Build a map of region → set of node IDs
       const regionMap = new Map();
@@ -97,7 +189,7 @@ export function createStoresRouter(storesDb) {
       // Sort by node_count ascending (under-replicated first)
       regions.sort((a, b) => a.node_count - b.node_count);
 
-      res.json({ regions });
+      res.json({ regions, ...pointInTimeFields });
     } catch (err) {
       console.error("GET /stores/replication error:", err);
       res.status(500).json({ error: "Internal error" });
@@ -107,9 +199,13 @@ export function createStoresRouter(storesDb) {
   // List all stores
   router.get("/", async (req, res) => {
     try {
+      const listQuery = parseListQuery(req.query, { sortFields: STORE_SORT_FIELDS });
+      if (listQuery.error) {
+        return res.status(400).json({ error: listQuery.error });
+      }
       const all = await storesDb.all();
       let stores = all
-        .map((entry) => entry.value)
+        .map((entry) => withConflicts(entry.value))
         .filter((s) => !s._id.startsWith("__"));
 
       // Optional country filter
@@ -124,31 +220,26 @@ export function createStoresRouter(storesDb) {
         );
       }
 
-      // Optional region filter (country/subdivision)
+      // Optional region filter (country/subdivision, see regions.js)
       if (req.query.region) {
         const region = req.query.region.toLowerCase();
-        stores = stores.filter(
-          (s) =>
-            s.store_scope &&
-            s.store_scope.some((scope) => {
-              const scopeLower = scope.toLowerCase();
-              // Exact match or wildcard match
-              return (
-                scopeLower === region ||
-                (scopeLower.endsWith("/*") &&
-                  region.startsWith(scopeLower.slice(0, -1)))
-              );
-            })
-        );
+        stores = stores.filter((s) => anyScopeMatches(s.store_scope, region));
       }
 
-      res.json({ stores });
+      const { items, total, next_cursor } = applyListQuery(stores, listQuery);
+      res.json({ stores: items, total, next_cursor });
     } catch (err) {
       console.error("GET /stores error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
 
+  // Oplog history of a store
+  router.get("/:id/history", createHistoryHandler(storesDb, "stores"));
+
+  // Versions of a store lost to concurrent writes
+  router.get("/:id/conflicts", createConflictsHandler(storesDb, "stores"));
+
   // Get specific store
   router.get("/:id", async (req, res) => {
     try {
@@ -159,7 +250,8 @@ export function createStoresRouter(storesDb) {
       if (!doc || doc.length === 0) {
         return res.status(404).json({ error: "not found" });
       }
-      res.json(doc[0].value);
+      res.set("ETag", `"${doc[0].hash}"`);
+      res.json(withConflicts(doc[0].value));
     } catch (err) {
       console.error("GET /stores/:id error:", err);
       res.status(500).json({ error: "Internal error" });
@@ -167,13 +259,16 @@ export function createStoresRouter(storesDb) {
   });
 
   // Remove store
-  router.delete("/:id", async (req, res) => {
+  router.delete("/:id", requireToken, async (req, res) => {
     try {
       if (req.params.id.length > MAX_ID_LENGTH) {
         return res.status(400).json({ error: "ID too long" });
       }
-      await storesDb.del(req.params.id);
-      res.json({ ok: true, deleted: req.params.id });
+      await withLock(req.params.id, async () => {
+        if (!checkIfMatch(req, res, await getDocumentEntry(storesDb, req.params.id))) return;
+        await storesDb.del(req.params.id);
+        res.json({ ok: true, deleted: req.params.id });
+      });
     } catch (err) {
       console.error("DELETE /stores/:id error:", err);
       res.status(500).json({ error: "Internal error" });
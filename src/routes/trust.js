@@ -1,32 +1,365 @@
 /**
  * Trust list CRUD routes.
  *
- * PUT  /trust/:ingester_id  — Add/update trusted key
- * GET  /trust                — Full trust list (TrustStore-compatible format)
- * GET  /trust/:ingester_id   — Get specific entry
- * DELETE /trust/:ingester_id — Revoke key (sets status: "revoked")
+ * PUT  /trust/:ingester_id         — Add a trusted key version, or set the
+ *                                     `operator` (see consensus.js)
+ * POST /trust/:ingester_id/rotate  — Add a key version signed by a previous one
+ * POST /trust/verify                — Verify one signature against the trust list
+ * POST /trust/verify/batch          — Verify up to MAX_VERIFY_BATCH signatures
+ * GET  /trust                       — Full trust list (TrustStore-compatible format);
+ *                                     ?at=<ISO timestamp> for the list as it was then
+ * GET  /trust/snapshot              — Trust list signed by this station (trust-snapshot.js)
+ * GET  /trust/changes               — Changes since a cursor (?since=, see changes.js)
+ * GET  /trust/:ingester_id          — Get specific entry
+ * GET  /trust/:ingester_id/history  — Every version still in the oplog, with
+ *                                     its writer (see history.js)
+ * GET  /trust/:ingester_id/conflicts — Versions lost to concurrent writes
+ *                                     (see conflicts.js)
+ * DELETE /trust/:ingester_id        — Revoke key (sets status: "revoked")
+ * DELETE /trust/:ingester_id/versions/:v — Revoke a single key version
+ * PATCH  /trust/:ingester_id/versions/:v — Update status/valid_until of a version
+ *
+ * PUT adds a key version with status "active" (or "revoked"). Sending an
+ * existing version again with the same key leaves it as it is, so an
+ * operator can re-sign an entry or change its operator; changing its key
+ * or status that way is refused (409) — use the per-version routes.
+ *
+ * Revocations record `revoked_at` and a `revocation_reason` code (see
+ * REVOCATION_REASONS). A version may also carry `valid_until`; past that
+ * time GET /trust reports it as "expired" and signatures by it are no
+ * longer accepted. DELETE of a version with a future `valid_until`
+ * schedules the revocation instead of applying it immediately: the
+ * version records `revoked_at` = `valid_until` and reports as "revoked"
+ * (with its reason) from then on.
+ *
+ * Governance (optional, see governance.js): with admin keys configured,
+ * PUT, DELETE and the per-version routes answer 202 with a pending
+ * proposal instead of changing the entry. Admins approve it with
+ *
+ * GET  /trust/proposals                 — Pending proposals (?status=all for every one)
+ * GET  /trust/proposals/:id             — One proposal
+ * POST /trust/proposals/:id/approve     — {admin_key, signature} over proposalStatement()
+ *
+ * and the change is applied once the quorum of distinct admins is reached.
+ * A proposal shows the complete entry it would write (`document`), which
+ * is what the admins' signatures cover. If the entry changed after the
+ * proposal was made, applying it fails (409) — propose again. Approvals of
+ * one proposal are serialised, so concurrent ones are not lost.
+ *
+ * GET /trust/:ingester_id returns an ETag. PUT, DELETE, the per-version
+ * routes and rotate honour If-Match and answer 412 if the entry changed in
+ * between (see etag.js) — retry from a fresh GET rather than overwriting
+ * a concurrent change to `versions`.
+ *
+ * PUT, DELETE and the per-version routes change the list on an operator's
+ * say-so, so they require `Authorization: Bearer <ADMIN_TOKEN>` (401
+ * without it; 403 when no ADMIN_TOKEN is configured). Rotation is
+ * authenticated by the ingester's own key and approval by admin
+ * signatures instead.
+ *
+ * Every entry written carries proof of authority (trust-entry.js): this
+ * station's signature when it is one of TRUST_AUTHORITIES, or the
+ * governance approval record. Both cover the entry's `sequence`, one above
+ * the entry it replaces, so peers refuse an older signed entry replayed
+ * over a newer one. Other stations refuse direct changes (403) unless
+ * SIGNATURE_MODE=log, and an entry peers would reject is refused with 409
+ * rather than written.
+ *
+ * Rotation lets an ingester hand over to a new key without an operator:
+ * the new version is accepted only if `signature` verifies against a
+ * currently usable previous version (`signed_by`) over rotationStatement()
+ * in signing.js. The statement covers `rotated_at`, which the ingester
+ * sends: within MAX_CLOCK_SKEW_MS of this station's clock and not before
+ * the previous rotation. The previous version can optionally move to
+ * "retiring", which keeps it valid for `grace_days` from `rotated_at` and
+ * expires it after. Every
+ * rotation is appended to the entry's `custody` chain, which peers
+ * re-verify when the entry replicates to them (validation.js). The link
+ * records the previous version's state too, so the authority's signature
+ * from before the rotation still verifies.
  */
 
 import { Router } from "express";
+import { createChangesHandler } from "./changes.js";
+import { createHistoryHandler } from "./history.js";
+import { createConflictsHandler, flagConflicts } from "./conflicts.js";
+import { documentsAt, parsePointInTime } from "../oplog.js";
+import {
+  isKeyUsable, effectiveKeyStatus, rotationStatement, verifyEd25519, verifyReading, lookupTrustKey,
+} from "../signing.js";
+import { buildTrustSnapshot } from "../trust-snapshot.js";
+import { requireBearerToken } from "../auth.js";
+import {
+  applyRotation, nextTrustSequence, signTrustEntry, trustEntryDigest, trustEntryPayload,
+} from "../trust-entry.js";
+import { checkTrust } from "../validation.js";
+import { checkIfMatch, createKeyLock, getDocumentEntry } from "../etag.js";
+import {
+  PROPOSAL_PREFIX, approvalRecord, newProposal, proposalStatement, proposalStatus, validApprovers,
+} from "../governance.js";
 
 /**
  * @param {object} trustDb - OrbitDB Documents database (indexBy: ingester_id)
+ * @param {{signer?: {peerId: string, publicKey: string, sign: Function}|null, governance?: object|null,
+ *   authorities?: Set<string>, signatureMode?: "enforce"|"log", token?: string, conflicts?: object|null}} [options]
+ *   signer — station peer key for GET /trust/snapshot and for signing
+ *   entries as a trust authority; snapshots are unavailable (503) without it
+ *   governance — from createGovernance(); null applies changes directly
+ *   authorities — TRUST_AUTHORITIES peer IDs
+ *   token — ADMIN_TOKEN; empty disables the operator routes
+ *   conflicts — conflict monitor (conflicts.js) whose counts flag entries in responses
  */
 const MAX_ID_LENGTH = 256;
 const MAX_PUBLIC_KEY_LENGTH = 512;
 const MAX_VERSIONS = 20;
+const MAX_OPERATOR_LENGTH = 128;
+const DEFAULT_GRACE_DAYS = 7;
+const MAX_GRACE_DAYS = 90;
+const MAX_VERIFY_BATCH = 500;
+const MAX_CLOCK_SKEW_MS = 5 * 60_000;
+// Statuses PUT can give a new version; "retiring" comes from rotation
+const PUT_STATUSES = ["active", "revoked"];
+const REVOCATION_REASONS = new Set([
+  "unspecified", "key_compromise", "superseded", "cessation_of_operation", "affiliation_changed",
+]);
+
+// Report each version with its effective status, so expired and
+// lapsed retiring keys show up as "expired" to TrustStore consumers.
+function withEffectiveStatus(versions, now) {
+  const out = {};
+  for (const [ver, key] of Object.entries(versions)) {
+    out[ver] = { ...key, status: effectiveKeyStatus(key, now) };
+  }
+  return out;
+}
+
+// Parse an optional ISO timestamp field. Returns undefined when absent,
+// null when explicitly cleared, or NaN when malformed.
+function parseTimestamp(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  if (typeof value !== "string") return NaN;
+  return new Date(value).getTime();
+}
+
+// Trust list changes that may go through governance. Each takes the
+// current entry (or null) and the change parameters, and returns either
+// {doc, result} — the new entry (without _id/ingester_id/updated_at) and
+// the response body — or {status, body} for a refusal. Parameters are
+// validated by the route before they get here.
+const TRUST_CHANGES = {
+  // Add a key version, and optionally set the entry's operator (null
+  // clears it). An existing version is kept as it is — with its
+  // revocation, expiry and custody link — so a revoked key can't be
+  // reactivated by sending it again.
+  put(val, { public_key, key_version, status, operator }, now, ingester_id) {
+    const versions = { ...(val?.versions || {}) };
+    const ver = String(key_version);
+    const current = versions[ver];
+    if (current) {
+      if (current.public_key !== public_key) {
+        return { status: 409, body: { error: `key_version ${ver} already exists with another key — add a new key_version` } };
+      }
+      if (status !== undefined && status !== current.status) {
+        return {
+          status: 409,
+          body: { error: `key_version ${ver} already exists — change its status with PATCH /trust/${ingester_id}/versions/${ver}` },
+        };
+      }
+    } else {
+      if (Object.keys(versions).length >= MAX_VERSIONS) {
+        return { status: 400, body: { error: "Too many key versions" } };
+      }
+      versions[ver] = { public_key, status: status || "active", added: now.toISOString() };
+      if (status === "revoked") {
+        versions[ver].revoked_at = now.toISOString();
+        versions[ver].revocation_reason = "unspecified";
+      }
+    }
+    const doc = { ...(val || {}), versions };
+    if (operator === null) delete doc.operator;
+    else if (operator !== undefined) doc.operator = operator;
+    return { doc, result: { ok: true, ingester_id } };
+  },
+
+  // Revoke every version.
+  revoke(val, { reason }, now, ingester_id) {
+    if (!val) return { status: 404, body: { error: "not found" } };
+    const versions = {};
+    for (const [ver, key] of Object.entries(val.versions || {})) {
+      versions[ver] = { ...key, status: "revoked", revoked_at: now.toISOString(), revocation_reason: reason };
+    }
+    return { doc: { ...val, versions }, result: { ok: true, revoked: ingester_id } };
+  },
 
-export function createTrustRouter(trustDb) {
+  // Revoke one version — or schedule it, given a future valid_until.
+  revoke_version(val, { key_version, reason, valid_until }, now, ingester_id) {
+    const ver = String(key_version);
+    if (!val?.versions?.[ver]) return { status: 404, body: { error: "not found" } };
+    const key = { ...val.versions[ver], revocation_reason: reason };
+    const validUntil = parseTimestamp(valid_until);
+    if (validUntil && validUntil > now.getTime()) {
+      // Scheduled: the key stays usable until valid_until, then is revoked.
+      key.valid_until = new Date(validUntil).toISOString();
+      key.revoked_at = key.valid_until;
+    } else {
+      key.status = "revoked";
+      key.revoked_at = now.toISOString();
+    }
+    return {
+      doc: { ...val, versions: { ...val.versions, [ver]: key } },
+      result: { ok: true, ingester_id, key_version: ver, status: effectiveKeyStatus(key, now.getTime()) },
+    };
+  },
+
+  // Update status/valid_until/reason of one version.
+  update_version(val, { key_version, status, reason, valid_until }, now, ingester_id) {
+    const ver = String(key_version);
+    if (!val?.versions?.[ver]) return { status: 404, body: { error: "not found" } };
+    const key = { ...val.versions[ver] };
+    if (status === "active") {
+      // Revocation is final, once in effect; only a retirement can be called off.
+      if (effectiveKeyStatus(key, now.getTime()) === "revoked") {
+        return { status: 409, body: { error: "revoked key versions cannot be reactivated" } };
+      }
+      key.status = "active";
+      delete key.retire_after;
+    } else if (status === "revoked" && key.status !== "revoked") {
+      key.status = "revoked";
+      key.revoked_at = now.toISOString();
+      key.revocation_reason = reason || "unspecified";
+    }
+    if (reason !== undefined) key.revocation_reason = reason;
+    const validUntil = parseTimestamp(valid_until);
+    // A revocation scheduled for valid_until moves (or is called off) with it
+    const scheduled = key.status !== "revoked" && key.revoked_at !== undefined;
+    if (validUntil === null) {
+      delete key.valid_until;
+      if (scheduled) delete key.revoked_at;
+    } else if (validUntil !== undefined) {
+      key.valid_until = new Date(validUntil).toISOString();
+      if (scheduled) key.revoked_at = key.valid_until;
+    }
+    return {
+      doc: { ...val, versions: { ...val.versions, [ver]: key } },
+      result: { ok: true, ingester_id, key_version: ver, status: effectiveKeyStatus(key, now.getTime()) },
+    };
+  },
+};
+
+export function createTrustRouter(trustDb, {
+  signer = null, governance = null, authorities = new Set(), signatureMode = "enforce", token = "", conflicts = null,
+} = {}) {
   const router = Router();
+  const withLock = createKeyLock();
+
+  // Operator routes: PUT, DELETE and the per-version routes
+  const requireToken = requireBearerToken(token, "Trust list changes are disabled (ADMIN_TOKEN not set)");
+
+  // Reason peers would reject `doc` for, or null. In log mode the failure
+  // is only logged and the entry written anyway.
+  const rejection = async (doc) => {
+    const reason = await checkTrust(doc, { governance, authorities, trustDb });
+    if (!reason || signatureMode !== "log") return reason;
+    console.warn(`Trust entry ${doc._id} failed validation (${reason}) — written anyway (SIGNATURE_MODE=log)`);
+    return null;
+  };
+
+  const getEntry = async (id) => {
+    const existing = await trustDb.get(id);
+    return existing && existing.length > 0 ? existing[0].value : null;
+  };
+
+  // Apply a change to the current entry and write it
+  const applyChange = async (action, ingester_id, params) => {
+    const now = new Date();
+    const current = await getEntry(ingester_id);
+    const outcome = TRUST_CHANGES[action](current, params, now, ingester_id);
+    if (!outcome.doc) return outcome;
+    const doc = {
+      ...outcome.doc,
+      _id: ingester_id,
+      ingester_id,
+      sequence: nextTrustSequence(current),
+      updated_at: now.toISOString(),
+    };
+    delete doc.authority;
+    if (!governance && signer) doc.authority = await signTrustEntry(doc, signer);
+    const reason = await rejection(doc);
+    if (reason) {
+      return { status: 409, body: { error: "Entry would be rejected by peers", reason } };
+    }
+    const hash = await trustDb.put(doc);
+    return { status: 200, body: outcome.result, hash };
+  };
+
+  // Write the document of an approved proposal, if the entry is still the
+  // one it was made against
+  const applyProposal = async (proposal) => {
+    const { ingester_id } = proposal;
+    const current = await getEntry(ingester_id);
+    if ((current ? trustEntryDigest(current) : null) !== proposal.base_digest) {
+      return { status: 409, body: { error: "Entry changed since the proposal was made — propose the change again" } };
+    }
+    const doc = {
+      ...proposal.document,
+      _id: ingester_id,
+      ingester_id,
+      updated_at: new Date().toISOString(),
+      approval: approvalRecord(proposal),
+    };
+    const reason = await rejection(doc);
+    if (reason) {
+      return { status: 409, body: { error: "Entry would be rejected by peers", reason } };
+    }
+    const hash = await trustDb.put(doc);
+    return { status: 200, body: { ok: true, ingester_id, action: proposal.action }, hash };
+  };
+
+  // Apply a change directly, or under governance record it as a pending
+  // proposal. A dry run against the current entry rejects proposals that
+  // could never apply. If-Match is checked against the entry as it is now;
+  // under governance that is when the proposal is made.
+  const commit = (req, res, action, ingester_id, params) => withLock(ingester_id, async () => {
+    const entry = await getDocumentEntry(trustDb, ingester_id);
+    if (!checkIfMatch(req, res, entry)) return;
+    if (!governance) {
+      if (signatureMode !== "log" && !authorities.has(signer?.peerId)) {
+        return res.status(403).json({ error: "This station is not a trust authority (TRUST_AUTHORITIES)" });
+      }
+      const { status, body, hash } = await applyChange(action, ingester_id, params);
+      if (hash) res.set("ETag", `"${hash}"`);
+      return res.status(status).json(body);
+    }
+    const dryRun = TRUST_CHANGES[action](entry?.value ?? null, params, new Date(), ingester_id);
+    if (!dryRun.doc) return res.status(dryRun.status).json(dryRun.body);
+    const document = trustEntryPayload({ ...dryRun.doc, ingester_id, sequence: nextTrustSequence(entry?.value) });
+    const proposal = newProposal({ action, ingester_id, params, document, base: entry?.value ?? null }, governance);
+    await trustDb.put(proposal);
+    res.status(202).json({ ok: true, pending: true, quorum: governance.quorum, proposal });
+  });
+
+  // TrustStore-format keys map with effective statuses at `now`. `docs`
+  // defaults to the current entries.
+  const buildKeys = async (docs = null, now = Date.now()) => {
+    const vals = docs ?? (await trustDb.all()).map((entry) => entry.value);
+    const keys = {};
+    for (const val of vals) {
+      if (val.ingester_id && val.versions) {
+        keys[val.ingester_id] = withEffectiveStatus(val.versions, now);
+      }
+    }
+    return keys;
+  };
 
   // Add or update a trusted key
-  router.put("/:ingester_id", async (req, res) => {
+  router.put("/:ingester_id", requireToken, async (req, res) => {
     try {
       const ingester_id = req.params.ingester_id;
       if (ingester_id.length > MAX_ID_LENGTH) {
         return res.status(400).json({ error: "ID too long" });
       }
-      const { public_key, key_version, status } = req.body;
+      const { public_key, key_version, status, operator } = req.body;
 
       if (!public_key || key_version === undefined) {
         return res.status(400).json({ error: "public_key and key_version are required" });
@@ -37,57 +370,336 @@ export function createTrustRouter(trustDb) {
       if (typeof key_version !== "number" && typeof key_version !== "string") {
         return res.status(400).json({ error: "Invalid key_version" });
       }
+      if (operator != null && (typeof operator !== "string" || !operator || operator.length > MAX_OPERATOR_LENGTH)) {
+        return res.status(400).json({ error: "Invalid operator" });
+      }
+      if (status !== undefined && !PUT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${PUT_STATUSES.join(", ")}` });
+      }
 
-      // Fetch existing entry to merge versions
-      const existing = await trustDb.get(ingester_id);
-      let versions = {};
-      if (existing && existing.length > 0 && existing[0].value.versions) {
-        versions = { ...existing[0].value.versions };
+      await commit(req, res, "put", ingester_id, { public_key, key_version, status, operator });
+    } catch (err) {
+      console.error("PUT /trust/:ingester_id error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  // List proposals — pending only unless ?status=all
+  router.get("/proposals", async (req, res) => {
+    try {
+      const now = Date.now();
+      const all = await trustDb.all();
+      let proposals = all
+        .map((entry) => entry.value)
+        .filter((p) => p._id?.startsWith(PROPOSAL_PREFIX))
+        .map((p) => ({ ...p, status: proposalStatus(p, now) }));
+      if (req.query.status !== "all") {
+        proposals = proposals.filter((p) => p.status === "pending");
       }
+      proposals.sort((a, b) => String(a.proposed_at).localeCompare(String(b.proposed_at)));
+      res.json({
+        governance: governance ? { quorum: governance.quorum, admins: governance.adminKeys.size } : null,
+        proposals,
+      });
+    } catch (err) {
+      console.error("GET /trust/proposals error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  // Get a specific proposal
+  router.get("/proposals/:id", async (req, res) => {
+    try {
+      if (req.params.id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
+      }
+      const proposal = await getEntry(PROPOSAL_PREFIX + req.params.id);
+      if (!proposal) {
+        return res.status(404).json({ error: "not found" });
+      }
+      res.json({ ...proposal, status: proposalStatus(proposal) });
+    } catch (err) {
+      console.error("GET /trust/proposals/:id error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
 
-      if (Object.keys(versions).length >= MAX_VERSIONS && !(String(key_version) in versions)) {
-        return res.status(400).json({ error: "Too many key versions" });
+  // Approve a proposal: {admin_key, signature}. Applies the change once
+  // the quorum of distinct admins is reached.
+  router.post("/proposals/:id/approve", async (req, res) => {
+    try {
+      if (!governance) {
+        return res.status(404).json({ error: "Governance is not enabled on this station" });
+      }
+      if (req.params.id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
       }
+      const { admin_key, signature } = req.body || {};
+      if (typeof admin_key !== "string" || typeof signature !== "string") {
+        return res.status(400).json({ error: "admin_key and signature are required" });
+      }
+      if (!governance.adminKeys.has(admin_key)) {
+        return res.status(403).json({ error: "Not a configured admin key" });
+      }
+      // One approval at a time per proposal, so none is lost
+      await withLock(PROPOSAL_PREFIX + req.params.id, async () => {
+        const proposal = await getEntry(PROPOSAL_PREFIX + req.params.id);
+        if (!proposal) {
+          return res.status(404).json({ error: "not found" });
+        }
+        const status = proposalStatus(proposal);
+        if (status !== "pending") {
+          return res.status(409).json({ error: `Proposal is ${status}` });
+        }
+        if (!verifyEd25519(admin_key, proposalStatement(proposal), signature)) {
+          return res.status(403).json({ error: "Signature verification failed", reason: "invalid signature" });
+        }
 
-      versions[String(key_version)] = {
-        public_key,
-        status: status || "active",
-        added: new Date().toISOString(),
-      };
+        const now = new Date().toISOString();
+        const approvals = [
+          ...(proposal.approvals || []).filter((a) => a.admin_key !== admin_key),
+          { admin_key, signature, approved_at: now },
+        ];
+        let updated = { ...proposal, approvals };
+        const approvers = validApprovers(updated, governance);
+
+        if (approvers.length < governance.quorum) {
+          await trustDb.put(updated);
+          return res.json({ ok: true, approvals: approvers.length, quorum: governance.quorum, proposal: updated });
+        }
+
+        // Quorum reached — apply, carrying the approvals as proof for peers.
+        const outcome = await withLock(proposal.ingester_id, () => applyProposal(updated));
+        const applied = outcome.status === 200;
+        updated = {
+          ...updated,
+          status: applied ? "applied" : "failed",
+          resolved_at: now,
+          ...(applied ? {} : { failure: outcome.body.error }),
+        };
+        await trustDb.put(updated);
+        console.log(
+          `Trust proposal ${proposal.proposal_id} (${proposal.action} ${proposal.ingester_id}) ` +
+          `${applied ? "applied" : `failed: ${outcome.body.error}`} with ${approvers.length}/${governance.quorum} approvals`
+        );
+        if (outcome.hash) res.set("ETag", `"${outcome.hash}"`);
+        res.status(outcome.status).json({ ok: applied, proposal: updated, result: outcome.body });
+      });
+    } catch (err) {
+      console.error("POST /trust/proposals/:id/approve error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
 
-      const doc = {
-        _id: ingester_id,
-        ingester_id,
-        versions,
-        updated_at: new Date().toISOString(),
+  // Verify a signature made by an ingester key:
+  // {ingester_id, key_version, message | message_b64, signature}
+  //   → {valid, status: "active"|"retiring"|"revoked"|"expired"|"unknown", reason}
+  router.post("/verify", async (req, res) => {
+    try {
+      res.json(await verifyReading(trustDb, req.body));
+    } catch (err) {
+      console.error("POST /trust/verify error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  // Batch form: {items: [...]} → {results: [...]}, in request order.
+  // Trust entries are looked up once per ingester/version within a batch.
+  router.post("/verify/batch", async (req, res) => {
+    try {
+      const items = req.body?.items;
+      if (!Array.isArray(items)) {
+        return res.status(400).json({ error: "items must be an array" });
+      }
+      if (items.length > MAX_VERIFY_BATCH) {
+        return res.status(400).json({ error: `At most ${MAX_VERIFY_BATCH} items per batch` });
+      }
+      const cache = new Map();
+      const lookup = (db, ingester_id, key_version) => {
+        const cacheKey = `${ingester_id}\u0000${key_version}`;
+        if (!cache.has(cacheKey)) cache.set(cacheKey, lookupTrustKey(db, ingester_id, key_version));
+        return cache.get(cacheKey);
       };
-      await trustDb.put(doc);
-      res.json({ ok: true, ingester_id });
+      const results = [];
+      for (const item of items) {
+        results.push(await verifyReading(trustDb, item, lookup));
+      }
+      res.json({ results, valid_count: results.filter((r) => r.valid).length });
     } catch (err) {
-      console.error("PUT /trust/:ingester_id error:", err);
+      console.error("POST /trust/verify/batch error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  // Rotate to a new key version, authorised by a signature from a
+  // currently usable previous version.
+  router.post("/:ingester_id/rotate", async (req, res) => {
+    try {
+      const ingester_id = req.params.ingester_id;
+      if (ingester_id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
+      }
+      const { public_key, key_version, signed_by, signature, rotated_at } = req.body || {};
+      const retire_previous = Boolean(req.body?.retire_previous);
+      const grace_days = req.body?.grace_days ?? DEFAULT_GRACE_DAYS;
+
+      if (!public_key || key_version === undefined || signed_by === undefined || !signature || !rotated_at) {
+        return res.status(400).json({
+          error: "public_key, key_version, signed_by, rotated_at and signature are required",
+        });
+      }
+      const rotatedAt = parseTimestamp(rotated_at);
+      if (Number.isNaN(rotatedAt) || Math.abs(Date.now() - rotatedAt) > MAX_CLOCK_SKEW_MS) {
+        return res.status(400).json({
+          error: `rotated_at must be an ISO timestamp within ${MAX_CLOCK_SKEW_MS / 60_000} minutes of this station's clock`,
+        });
+      }
+      if (typeof public_key !== "string" || public_key.length > MAX_PUBLIC_KEY_LENGTH) {
+        return res.status(400).json({ error: "Invalid public_key" });
+      }
+      if (typeof key_version !== "number" && typeof key_version !== "string") {
+        return res.status(400).json({ error: "Invalid key_version" });
+      }
+      if (typeof signature !== "string") {
+        return res.status(400).json({ error: "Invalid signature" });
+      }
+      if (retire_previous && (typeof grace_days !== "number" || grace_days < 0 || grace_days > MAX_GRACE_DAYS)) {
+        return res.status(400).json({ error: `grace_days must be a number between 0 and ${MAX_GRACE_DAYS}` });
+      }
+
+      await withLock(ingester_id, async () => {
+        const entry = await getDocumentEntry(trustDb, ingester_id);
+        if (!checkIfMatch(req, res, entry)) return;
+        if (!entry?.value.versions) {
+          return res.status(404).json({ error: "not found" });
+        }
+        const val = entry.value;
+        const versions = { ...val.versions };
+        const newVersion = String(key_version);
+        const prevVersion = String(signed_by);
+
+        if (newVersion in versions) {
+          return res.status(409).json({ error: `key_version ${newVersion} already exists` });
+        }
+        if (Object.keys(versions).length >= MAX_VERSIONS) {
+          return res.status(400).json({ error: "Too many key versions" });
+        }
+        const prev = versions[prevVersion];
+        if (!prev) {
+          return res.status(400).json({ error: `unknown signed_by version ${prevVersion}` });
+        }
+        // Usable now, and at the date the rotation claims
+        const unusableAt = [Date.now(), rotatedAt].find((at) => !isKeyUsable(prev, at));
+        if (unusableAt !== undefined) {
+          return res.status(403).json({ error: `signed_by version ${prevVersion} is ${effectiveKeyStatus(prev, unusableAt)}` });
+        }
+        const lastLink = val.custody?.[val.custody.length - 1];
+        if (lastLink && rotatedAt < new Date(lastLink.rotated_at).getTime()) {
+          return res.status(409).json({ error: "rotated_at is before the previous rotation" });
+        }
+
+        const statement = rotationStatement({
+          ingester_id, key_version: newVersion, public_key, signed_by: prevVersion, retire_previous, grace_days, rotated_at,
+        });
+        if (!verifyEd25519(prev.public_key, statement, signature)) {
+          return res.status(403).json({ error: "Signature verification failed", reason: "invalid signature" });
+        }
+
+        const link = {
+          key_version: newVersion,
+          public_key,
+          signed_by: prevVersion,
+          signature,
+          retire_previous,
+          grace_days: retire_previous ? grace_days : null,
+          rotated_at,
+        };
+        if (retire_previous) {
+          // What the rotation replaces, so it can be undone to check the
+          // authority's signature (trust-entry.js)
+          link.previous_status = prev.status;
+          if (prev.retire_after !== undefined) link.previous_retire_after = prev.retire_after;
+        }
+
+        // Chain of custody — one link per rotated-in version, so bounded by
+        // MAX_VERSIONS like versions.
+        const doc = {
+          ...val,
+          _id: ingester_id,
+          ingester_id,
+          versions: applyRotation(versions, link),
+          custody: [...(val.custody || []), link],
+          updated_at: new Date().toISOString(),
+        };
+        const reason = await rejection(doc);
+        if (reason) {
+          return res.status(409).json({ error: "Entry would be rejected by peers", reason });
+        }
+        const hash = await trustDb.put(doc);
+        res.set("ETag", `"${hash}"`);
+        res.json({ ok: true, ingester_id, key_version: newVersion, signed_by: prevVersion });
+      });
+    } catch (err) {
+      console.error("POST /trust/:ingester_id/rotate error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
 
   // Get full trust list in TrustStore-compatible format:
   // {"keys": {"wsi_abc12345": {"1": {"public_key": "base64...", "status": "active", ...}}}}
+  // With ?at=, the list is rebuilt from the oplog and statuses are those
+  // in effect at that time (see oplog.js).
   router.get("/", async (req, res) => {
     try {
-      const all = await trustDb.all();
-      const keys = {};
-      for (const entry of all) {
-        const val = entry.value;
-        if (val.ingester_id && val.versions) {
-          keys[val.ingester_id] = val.versions;
+      if (req.query.at !== undefined) {
+        const pointInTime = parsePointInTime(req.query.at);
+        if (pointInTime.error) {
+          return res.status(400).json({ error: pointInTime.error });
+        }
+        const rebuilt = await documentsAt(trustDb, pointInTime.at);
+        if (!rebuilt) {
+          return res.status(503).json({ error: "Oplog too large to rebuild a point in time" });
         }
+        if (rebuilt.busy) {
+          res.set("Retry-After", "5");
+          return res.status(503).json({ error: "Too many point-in-time reads in progress — retry shortly" });
+        }
+        return res.json({
+          keys: await buildKeys(rebuilt.docs, pointInTime.at),
+          at: new Date(pointInTime.at).toISOString(),
+          undated_deletions: rebuilt.undatedDeletions,
+        });
       }
-      res.json({ keys });
+      res.json({ keys: await buildKeys() });
     } catch (err) {
       console.error("GET /trust error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
 
+  // Changes since a cursor (must be before /:ingester_id to avoid route conflict)
+  router.get("/changes", createChangesHandler(trustDb, "trust"));
+
+  // Signed snapshot of the trust list for offline consumers
+  // (must be before /:ingester_id to avoid route conflict)
+  router.get("/snapshot", async (req, res) => {
+    try {
+      if (!signer) {
+        return res.status(503).json({ error: "Station peer key unavailable — snapshots cannot be signed" });
+      }
+      res.json(await buildTrustSnapshot({ keys: await buildKeys(), signer }));
+    } catch (err) {
+      console.error("GET /trust/snapshot error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
+
+  // Oplog history of a trust entry, for auditing changes to its keys
+  router.get("/:ingester_id/history", createHistoryHandler(trustDb, "trust", "ingester_id"));
+
+  // Versions of a trust entry lost to concurrent writes
+  router.get("/:ingester_id/conflicts", createConflictsHandler(trustDb, "trust", "ingester_id"));
+
   // Get specific trust entry
   router.get("/:ingester_id", async (req, res) => {
     try {
@@ -98,7 +710,8 @@ export function createTrustRouter(trustDb) {
       if (!doc || doc.length === 0) {
         return res.status(404).json({ error: "not found" });
       }
-      res.json(doc[0].value);
+      res.set("ETag", `"${doc[0].hash}"`);
+      res.json(flagConflicts(conflicts, "trust", doc[0].value));
     } catch (err) {
       console.error("GET /trust/:ingester_id error:", err);
       res.status(500).json({ error: "Internal error" });
@@ -106,34 +719,66 @@ export function createTrustRouter(trustDb) {
   });
 
   // Revoke: sets status to "revoked" on all versions for this ingester
-  router.delete("/:ingester_id", async (req, res) => {
+  router.delete("/:ingester_id", requireToken, async (req, res) => {
     try {
       const ingester_id = req.params.ingester_id;
       if (ingester_id.length > MAX_ID_LENGTH) {
         return res.status(400).json({ error: "ID too long" });
       }
-      const existing = await trustDb.get(ingester_id);
-      if (!existing || existing.length === 0) {
-        return res.status(404).json({ error: "not found" });
+      const reason = req.body?.reason ?? req.query.reason ?? "unspecified";
+      if (!REVOCATION_REASONS.has(reason)) {
+        return res.status(400).json({ error: "Invalid reason", allowed: [...REVOCATION_REASONS] });
       }
+      await commit(req, res, "revoke", ingester_id, { reason });
+    } catch (err) {
+      console.error("DELETE /trust/:ingester_id error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
 
-      const val = existing[0].value;
-      const versions = val.versions || {};
-      for (const ver of Object.keys(versions)) {
-        versions[ver].status = "revoked";
-        versions[ver].revoked_at = new Date().toISOString();
+  // Revoke a single key version. Body (or query): reason, optional valid_until.
+  router.delete("/:ingester_id/versions/:v", requireToken, async (req, res) => {
+    try {
+      const { ingester_id, v } = req.params;
+      if (ingester_id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
       }
+      const reason = req.body?.reason ?? req.query.reason ?? "unspecified";
+      if (!REVOCATION_REASONS.has(reason)) {
+        return res.status(400).json({ error: "Invalid reason", allowed: [...REVOCATION_REASONS] });
+      }
+      const valid_until = req.body?.valid_until ?? req.query.valid_until;
+      if (Number.isNaN(parseTimestamp(valid_until))) {
+        return res.status(400).json({ error: "Invalid valid_until" });
+      }
+      await commit(req, res, "revoke_version", ingester_id, { key_version: v, reason, valid_until });
+    } catch (err) {
+      console.error("DELETE /trust/:ingester_id/versions/:v error:", err);
+      res.status(500).json({ error: "Internal error" });
+    }
+  });
 
-      const doc = {
-        _id: ingester_id,
-        ingester_id,
-        versions,
-        updated_at: new Date().toISOString(),
-      };
-      await trustDb.put(doc);
-      res.json({ ok: true, revoked: ingester_id });
+  // Update a single key version: status ("revoked", or "active" to cancel
+  // a retirement), valid_until (ISO timestamp, null to clear) and reason.
+  router.patch("/:ingester_id/versions/:v", requireToken, async (req, res) => {
+    try {
+      const { ingester_id, v } = req.params;
+      if (ingester_id.length > MAX_ID_LENGTH) {
+        return res.status(400).json({ error: "ID too long" });
+      }
+      const { status, reason, valid_until } = req.body || {};
+      if (status !== undefined && status !== "active" && status !== "revoked") {
+        return res.status(400).json({ error: "status must be \"active\" or \"revoked\"" });
+      }
+      if (reason !== undefined && !REVOCATION_REASONS.has(reason)) {
+        return res.status(400).json({ error: "Invalid reason", allowed: [...REVOCATION_REASONS] });
+      }
+      if (Number.isNaN(parseTimestamp(valid_until))) {
+        return res.status(400).json({ error: "Invalid valid_until" });
+      }
+      await commit(req, res, "update_version", ingester_id, { key_version: v, status, reason, valid_until });
     } catch (err) {
-      console.error("DELETE /trust/:ingester_id error:", err);
+      console.error("PATCH /trust/:ingester_id/versions/:v error:", err);
       res.status(500).json({ error: "Internal error" });
     }
   });
@@ -0,0 +1,223 @@
+/**
+ * Per-field schemas for node and store documents.
+ *
+ * Used by the HTTP routes (routes/nodes.js, routes/stores.js) to reject a
+ * bad registration with a 400 listing every field error, and by
+ * validation.js to apply the same rules to entries arriving through
+ * replication — a peer shouldn't be able to publish what our own API
+ * refuses.
+ *
+ *   { "error": "Invalid document",
+ *     "fields": [{ "field": "regions[1]", "error": "unknown ISO 3166-1 country code \"xx\"" },
+ *                { "field": "iroh_quic_port", "error": "must be an integer port 1-65535" }] }
+ *
+ * Unknown fields are errors too, except the ones the service sets itself
+ * or computes on read, which are ignored so a fetched document can be
+ * sent back unchanged.
+ */
+
+// ISO 3166-1 alpha-2, lower case as stored in `regions` and scopes
+const ISO_COUNTRIES = new Set((
+  "ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bl bm bn bo bq br bs bt bv " +
+  "bw by bz ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm do dz ec ee eg eh er es " +
+  "et fi fj fk fm fo fr ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie " +
+  "il im in io iq ir is it je jm jo jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly " +
+  "ma mc md me mf mg mh mk ml mm mn mo mp mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu " +
+  "nz om pa pe pf pg ph pk pl pm pn pr ps pt pw py qa re ro rs ru rw sa sb sc sd se sg sh si sj sk sl sm " +
+  "sn so sr ss st sv sx sy sz tc td tf tg th tj tk tl tm tn to tr tt tv tw tz ua ug um us uy uz va vc ve " +
+  "vg vi vn vu wf ws ye yt za zm zw"
+).split(" "));
+
+const MAX_SCOPE_ENTRIES = 50;
+const MAX_CAPABILITIES = 32;
+const MAX_RELAY_URLS = 10;
+
+const HOSTNAME_RE = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+const IPV4_RE = /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+const MULTIADDR_HOST_PROTOCOLS = new Set(["ip4", "ip6", "dns", "dns4", "dns6", "dnsaddr"]);
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// --- Field validators: (value) => error string, or null if valid ---
+// Validators for lists return [{ index, error }] instead, so each bad
+// element is reported under its own path.
+
+const string = (maxLength) => (v) =>
+  typeof v === "string" && v.length <= maxLength ? null : `must be a string of at most ${maxLength} characters`;
+
+const port = (v) =>
+  Number.isInteger(v) && v >= 1 && v <= 65535 ? null : "must be an integer port 1-65535";
+
+const nonNegativeNumber = (v) =>
+  typeof v === "number" && Number.isFinite(v) && v >= 0 ? null : "must be a non-negative number";
+
+const keyVersion = (v) =>
+  (Number.isInteger(v) && v >= 0) || (typeof v === "string" && /^\d{1,10}$/.test(v))
+    ? null
+    : "must be a non-negative integer";
+
+const base64 = (maxLength) => (v) =>
+  typeof v === "string" && v.length <= maxLength && /^[A-Za-z0-9+/]*={0,2}$/.test(v)
+    ? null
+    : `must be base64 of at most ${maxLength} characters`;
+
+function isHost(host) {
+  return IPV4_RE.test(host) || HOSTNAME_RE.test(host);
+}
+
+function isHostPort(value) {
+  const match = /^([^:]+):(\d{1,5})$/.exec(value);
+  return Boolean(match) && isHost(match[1]) && port(Number(match[2])) === null;
+}
+
+// "host:port", optionally prefixed with a transport as in zenoh locators
+// ("tcp/10.0.0.1:7447")
+const endpoint = (v) => {
+  if (typeof v !== "string" || v.length > 512) return "must be a host:port string";
+  const address = v.replace(/^(tcp|udp|tls|quic|ws|wss)\//, "");
+  return isHostPort(address) ? null : "must be host:port (optionally prefixed tcp/, udp/, tls/, quic/, ws/ or wss/)";
+};
+
+// What toMultiaddrFromAnnounce in index.js can dial: a multiaddr with a
+// host component, host:port, or a bare host (default libp2p port)
+const announceAddress = (v) => {
+  if (typeof v !== "string" || v.length > 512) return "must be a multiaddr, host:port or host";
+  if (v.startsWith("/")) {
+    const parts = v.split("/").slice(1);
+    const valid = parts.length >= 2 && parts.every(Boolean) && MULTIADDR_HOST_PROTOCOLS.has(parts[0]) &&
+      (parts[0] !== "ip4" || IPV4_RE.test(parts[1]));
+    return valid ? null : "must be a multiaddr starting with /ip4, /ip6, /dns, /dns4, /dns6 or /dnsaddr";
+  }
+  return isHostPort(v) || isHost(v) ? null : "must be a multiaddr, host:port or host";
+};
+
+const url = (v) => {
+  if (typeof v !== "string" || v.length > 512) return "must be an http(s) URL";
+  try {
+    const parsed = new URL(v);
+    return parsed.protocol === "https:" || parsed.protocol === "http:" ? null : "must be an http(s) URL";
+  } catch {
+    return "must be an http(s) URL";
+  }
+};
+
+// "nz", "nz/*" or "nz/auk" — ISO 3166-1 country, optional ISO 3166-2
+// subdivision suffix or wildcard
+function scopeError(v) {
+  if (typeof v !== "string") return "must be a string";
+  const match = /^([a-z]{2})(?:\/([a-z0-9]{1,3}|\*))?$/i.exec(v);
+  if (!match) return `invalid region "${v}" (expected country, country/subdivision or country/*)`;
+  if (!ISO_COUNTRIES.has(match[1].toLowerCase())) return `unknown ISO 3166-1 country code "${match[1]}"`;
+  return null;
+}
+
+const list = (maxLength, element) => (v) => {
+  if (!Array.isArray(v)) return `must be an array of at most ${maxLength} entries`;
+  if (v.length > maxLength) return `must have at most ${maxLength} entries`;
+  const errors = [];
+  v.forEach((item, index) => {
+    const error = element(item);
+    if (error) errors.push({ index, error });
+  });
+  return errors.length > 0 ? errors : null;
+};
+
+const capabilities = (v) => {
+  if (isPlainObject(v)) {
+    const names = Object.keys(v);
+    if (names.length > MAX_CAPABILITIES) return `must have at most ${MAX_CAPABILITIES} entries`;
+    return names.every((name) => name.length <= 64 && typeof v[name] === "boolean")
+      ? null
+      : "object form must map capability names to booleans";
+  }
+  return list(MAX_CAPABILITIES, string(64))(v);
+};
+
+const scopeList = list(MAX_SCOPE_ENTRIES, scopeError);
+
+export const NODE_SCHEMA = {
+  ingester_id: string(256),
+  node_name: string(128),
+  regions: scopeList,
+  version: string(64),
+  uptime: nonNegativeNumber,
+  zenoh_endpoint: endpoint,
+  zenoh_endpoint_lan: endpoint,
+  zenoh_proxy: string(512),
+  iroh_node_id: string(128),
+  iroh_endpoint: endpoint,
+  iroh_address: string(512),
+  iroh_quic_port: port,
+  archive_replicator_port: port,
+  iroh_sidecar_port: port, // kept for backward compat
+  iroh_relay_urls: list(MAX_RELAY_URLS, url),
+  announce_address: announceAddress,
+  guardian_scope: scopeList,
+  store_scope: scopeList, // kept for backward compat
+  capabilities,
+  source: string(64),
+  type: string(64),
+  public_key: string(512),
+  key_version: keyVersion,
+  signature: base64(256),
+  broker_id: string(256), // signer of the broker fields, see signing.js
+  broker_key_version: keyVersion,
+  broker_signature: base64(256),
+};
+
+export const STORE_SCHEMA = {
+  store_id: string(256),
+  iroh_node_id: string(128),
+  iroh_endpoint: endpoint,
+  store_scope: scopeList,
+  announce_address: announceAddress,
+  capabilities,
+  source: string(64),
+  ingester_id: string(256), // signer, see routes/stores.js
+  key_version: keyVersion,
+  signature: base64(256),
+};
+
+// Set by the service, or computed on read (presence.js, conflicts.js)
+const IGNORED_FIELDS = new Set(["_id", "updated_at", "status", "last_seen", "prunes_in_seconds", "conflicts"]);
+
+/**
+ * Validate a document body against a schema.
+ *
+ * @param {object} schema - NODE_SCHEMA or STORE_SCHEMA
+ * @param {unknown} body
+ * @returns {{doc: object, errors: Array<{field: string, error: string}>}}
+ *   `doc` holds the schema fields of `body` (ignored fields removed)
+ */
+export function validateDocument(schema, body) {
+  if (!isPlainObject(body)) {
+    return { doc: {}, errors: [{ field: "", error: "body must be a JSON object" }] };
+  }
+  const doc = {};
+  const errors = [];
+  for (const [field, value] of Object.entries(body)) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const validate = Object.hasOwn(schema, field) ? schema[field] : null;
+    if (!validate) {
+      errors.push({ field, error: "unknown field" });
+      continue;
+    }
+    const error = validate(value);
+    if (Array.isArray(error)) {
+      for (const item of error) errors.push({ field: `${field}[${item.index}]`, error: item.error });
+    } else if (error) {
+      errors.push({ field, error });
+    }
+    doc[field] = value;
+  }
+  return { doc, errors };
+}
+
+/**
+ * One-line summary of field errors, for logs and replication rejections.
+ */
+export function formatFieldErrors(errors) {
+  const shown = errors.slice(0, 3).map(({ field, error }) => `${field}: ${error}`);
+  if (errors.length > shown.length) shown.push(`${errors.length - shown.length} more`);
+  return shown.join("; ");
+}
@@ -0,0 +1,354 @@
+/**
+ * Ed25519 signing helpers for application-layer write security.
+ *
+ * All databases are opened with open OrbitDB write access (see
+ * databases.js), so authenticity of a document is established here:
+ * the writer signs a canonical JSON form of the document with its
+ * ingester key, and we check that signature against the key registered
+ * for the same ingester_id/key_version in wesense.trust.
+ *
+ * Canonical form: JSON with object keys sorted recursively and no
+ * insignificant whitespace. Fields the service sets itself (_id,
+ * updated_at) and the signature field are excluded, so a client can
+ * compute the exact bytes it signs before sending the request.
+ *
+ * A node record is shared: the ingester signs everything except the
+ * fields storage-broker maintains on it (BROKER_FIELDS), so the broker
+ * can PATCH its slice without the ingester's key and without voiding the
+ * ingester's signature. The broker signs that slice with its own key in
+ * wesense.trust (brokerStatement()): `broker_key_version` and
+ * `broker_signature` on the node, by the station named in `broker_id` —
+ * which the ingester signs, so no other station can speak for its node —
+ * or by the ingester itself if there is none. Records signed before the
+ * broker fields were left out still verify, but only until the broker
+ * changes one of them; the ingester's next signed write moves them to
+ * the current payload.
+ *
+ * Keys and signatures are base64. Public keys are accepted either as a
+ * raw 32-byte Ed25519 key (TrustStore format) or as DER/SPKI.
+ */
+
+import { createPublicKey, verify as cryptoVerify } from "node:crypto";
+
+// Node fields owned by storage-broker: its iroh endpoint and archive
+// replicator, and the scope of the store it runs.
+export const BROKER_FIELDS = new Set([
+  "iroh_node_id",
+  "iroh_endpoint",
+  "iroh_address",
+  "iroh_quic_port",
+  "iroh_relay_urls",
+  "iroh_sidecar_port",
+  "archive_replicator_port",
+  "store_scope",
+]);
+
+// Fields no signature covers: set by the service, or the signature itself.
+// Store records are signed over everything else.
+export const SERVICE_FIELDS = new Set(["_id", "updated_at", "signature"]);
+
+// The broker's signature over BROKER_FIELDS and the key version it used
+const BROKER_SIGNATURE_FIELDS = ["broker_key_version", "broker_signature"];
+
+// Fields excluded from a node's signed payload — SERVICE_FIELDS, and the
+// ones storage-broker signs (BROKER_FIELDS) with its signature.
+const UNSIGNED_FIELDS = new Set([...SERVICE_FIELDS, ...BROKER_FIELDS, ...BROKER_SIGNATURE_FIELDS]);
+
+/**
+ * Deterministic JSON serialisation: sorted object keys, no whitespace.
+ * `undefined` values are dropped, matching JSON.stringify.
+ */
+export function canonicalize(value) {
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => (v === undefined ? "null" : canonicalize(v))).join(",")}]`;
+  }
+  const parts = [];
+  for (const key of Object.keys(value).sort()) {
+    if (value[key] === undefined) continue;
+    parts.push(`${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  }
+  return `{${parts.join(",")}}`;
+}
+
+/**
+ * The part of a stored document that its writer signs.
+ */
+export function signedPayload(doc, unsigned = UNSIGNED_FIELDS) {
+  const payload = {};
+  for (const [key, value] of Object.entries(doc || {})) {
+    if (!unsigned.has(key)) payload[key] = value;
+  }
+  return payload;
+}
+
+function publicKeyFromBase64(publicKeyB64) {
+  const raw = Buffer.from(publicKeyB64, "base64");
+  if (raw.length === 32) {
+    return createPublicKey({
+      key: { kty: "OKP", crv: "Ed25519", x: raw.toString("base64url") },
+      format: "jwk",
+    });
+  }
+  return createPublicKey({ key: raw, format: "der", type: "spki" });
+}
+
+/**
+ * Verify an Ed25519 signature. Never throws — malformed keys or
+ * signatures simply fail verification.
+ *
+ * @param {string} publicKeyB64
+ * @param {string|Uint8Array} message
+ * @param {string} signatureB64
+ * @returns {boolean}
+ */
+export function verifyEd25519(publicKeyB64, message, signatureB64) {
+  if (typeof publicKeyB64 !== "string" || typeof signatureB64 !== "string") return false;
+  try {
+    const key = publicKeyFromBase64(publicKeyB64);
+    const data = typeof message === "string" ? Buffer.from(message, "utf-8") : message;
+    return cryptoVerify(null, data, key, Buffer.from(signatureB64, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Effective status of a trust key version at `now`. A "retiring" key
+ * (superseded by a rotation, see routes/trust.js) stays usable until its
+ * retire_after deadline and is "expired" after it. A key with a scheduled
+ * revocation (revoked_at in the future) is "revoked" from that time on.
+ * Any other key past its optional valid_until is "expired".
+ *
+ * @returns {"active"|"retiring"|"revoked"|"expired"|string}
+ */
+export function effectiveKeyStatus(key, now = Date.now()) {
+  if (key.status === "revoked") return "revoked";
+  if (key.revoked_at && now >= new Date(key.revoked_at).getTime()) return "revoked";
+  if (key.valid_until && now >= new Date(key.valid_until).getTime()) return "expired";
+  if (key.status === "retiring") {
+    const deadline = key.retire_after ? new Date(key.retire_after).getTime() : 0;
+    return now < deadline ? "retiring" : "expired";
+  }
+  return key.status;
+}
+
+/**
+ * Whether a key version may currently sign: active, or retiring within
+ * its grace period.
+ */
+export function isKeyUsable(key, now = Date.now()) {
+  const status = effectiveKeyStatus(key, now);
+  return status === "active" || status === "retiring";
+}
+
+/**
+ * Whether a key version could sign at `at`, a past time: as isKeyUsable(),
+ * except that a revocation recorded for later than `at` doesn't count —
+ * the key was active (or retiring, if it has a deadline) until then. A
+ * revocation without a recorded time counts from the start.
+ */
+export function wasKeyUsable(key, at) {
+  if (key.status === "revoked") {
+    if (!key.revoked_at || !(at < new Date(key.revoked_at).getTime())) return false;
+    return isKeyUsable({ ...key, status: key.retire_after !== undefined ? "retiring" : "active" }, at);
+  }
+  return isKeyUsable(key, at);
+}
+
+/**
+ * The statement a previous key version signs to hand custody over to a
+ * new key version. Every field that changes the resulting trust entry is
+ * covered — including `rotated_at`, which dates the new version and the
+ * previous one's retirement — so a captured rotation can't be replayed
+ * with other options or another date.
+ */
+export function rotationStatement({
+  ingester_id, key_version, public_key, signed_by, retire_previous, grace_days, rotated_at,
+}) {
+  return canonicalize({
+    type: "wesense.key_rotation",
+    ingester_id,
+    key_version: String(key_version),
+    public_key,
+    signed_by: String(signed_by),
+    retire_previous: Boolean(retire_previous),
+    grace_days: retire_previous ? grace_days : null,
+    rotated_at,
+  });
+}
+
+/**
+ * The statement storage-broker signs over its slice of a node record:
+ * the BROKER_FIELDS the record carries, bound to the node and the broker
+ * key version, so the slice can't be moved to another node.
+ */
+export function brokerStatement(doc) {
+  const fields = {};
+  for (const field of BROKER_FIELDS) {
+    if (doc[field] !== undefined) fields[field] = doc[field];
+  }
+  return canonicalize({
+    type: "wesense.node_broker_fields",
+    ingester_id: doc.ingester_id,
+    broker_id: doc.broker_id ?? doc.ingester_id,
+    broker_key_version: String(doc.broker_key_version),
+    fields,
+  });
+}
+
+/**
+ * The statement an ingester signs to attest an archive manifest (see
+ * routes/attestations.js). Covers what the archive is (its region, which
+ * selects the consensus policy, blake3 hash and path) and when it was
+ * attested, so none of them can be changed or backdated after signing.
+ * Checked against wesense.trust when consensus is evaluated (consensus.js).
+ */
+export function attestationStatement({
+  manifest_hash, ingester_id, key_version, region, iroh_blake3_hash, path, attested_at,
+}) {
+  return canonicalize({
+    type: "wesense.archive_attestation",
+    manifest_hash,
+    ingester_id,
+    key_version: String(key_version),
+    region: typeof region === "string" ? region.toLowerCase() : null,
+    iroh_blake3_hash: iroh_blake3_hash ?? null,
+    path: path ?? null,
+    attested_at,
+  });
+}
+
+/**
+ * Look up a key version for an ingester in wesense.trust.
+ *
+ * @param {object} trustDb - OrbitDB Documents database
+ * @returns {Promise<{key: object|null, reason: string|null}>}
+ */
+export async function lookupTrustKey(trustDb, ingester_id, key_version) {
+  const existing = await trustDb.get(ingester_id);
+  if (!existing || existing.length === 0 || !existing[0].value?.versions) {
+    return { key: null, reason: "unknown ingester_id" };
+  }
+  const key = existing[0].value.versions[String(key_version)];
+  if (!key) {
+    return { key: null, reason: `unknown key_version ${key_version}` };
+  }
+  return { key, reason: null };
+}
+
+/**
+ * Verify an ingester's signature over an arbitrary message (e.g. a sensor
+ * reading) against the replicated trust list. `lookup` defaults to a
+ * wesense.trust query; batch callers pass a memoised one.
+ *
+ * @param {object} trustDb - OrbitDB Documents database
+ * @param {{ingester_id: string, key_version: string|number, message?: string, message_b64?: string, signature: string}} req
+ * @returns {Promise<{valid: boolean, status: string, reason: string|null}>}
+ */
+export async function verifyReading(trustDb, req, lookup = lookupTrustKey) {
+  const { ingester_id, key_version, message, message_b64, signature } = req || {};
+  if (typeof ingester_id !== "string" || (typeof key_version !== "string" && typeof key_version !== "number")) {
+    return { valid: false, status: "unknown", reason: "ingester_id and key_version are required" };
+  }
+  if (typeof signature !== "string") {
+    return { valid: false, status: "unknown", reason: "signature is required" };
+  }
+  let data;
+  if (typeof message === "string") {
+    data = Buffer.from(message, "utf-8");
+  } else if (typeof message_b64 === "string") {
+    data = Buffer.from(message_b64, "base64");
+  } else {
+    return { valid: false, status: "unknown", reason: "message or message_b64 is required" };
+  }
+
+  const { key, reason } = await lookup(trustDb, ingester_id, key_version);
+  if (!key) return { valid: false, status: "unknown", reason };
+  const status = effectiveKeyStatus(key);
+  if (!isKeyUsable(key)) {
+    return { valid: false, status, reason: key.revocation_reason ? `${status}: ${key.revocation_reason}` : status };
+  }
+  if (!verifyEd25519(key.public_key, data, signature)) {
+    return { valid: false, status, reason: "invalid signature" };
+  }
+  return { valid: true, status, reason: null };
+}
+
+/**
+ * Verify a document signed by its ingester. The document must carry
+ * `ingester_id`, `key_version` and `signature`; the key must be usable
+ * (active, or retiring within its grace period) in wesense.trust.
+ * A signature over the whole document (all but SERVICE_FIELDS) is
+ * accepted too — what node signatures covered before BROKER_FIELDS were
+ * left out, so records signed by older ingesters keep verifying.
+ *
+ * @param {object} trustDb - OrbitDB Documents database
+ * @param {object} doc
+ * @param {Set<string>} [unsigned] - fields left out of the signature
+ *   (node fields by default; SERVICE_FIELDS for store records)
+ * @returns {Promise<{valid: boolean, reason: string|null}>}
+ */
+export async function verifySignedDocument(trustDb, doc, unsigned = UNSIGNED_FIELDS) {
+  const { valid, reason } = await verifyDocumentSignature(trustDb, doc, unsigned);
+  return { valid, reason };
+}
+
+/**
+ * Verify a node record: the ingester's signature (verifySignedDocument())
+ * and, when the record carries any BROKER_FIELDS, storage-broker's
+ * signature over them (brokerStatement()) by `broker_id`, or by the
+ * ingester if the record names no broker. A record whose ingester
+ * signature still covers the broker fields (signed before they were left
+ * out) needs no broker signature.
+ *
+ * @param {object} trustDb - OrbitDB Documents database
+ * @param {object} doc
+ * @returns {Promise<{valid: boolean, reason: string|null}>}
+ */
+export async function verifyNodeDocument(trustDb, doc) {
+  const { valid, reason, whole } = await verifyDocumentSignature(trustDb, doc, UNSIGNED_FIELDS);
+  if (!valid) return { valid, reason };
+  if (whole || ![...BROKER_FIELDS].some((field) => doc[field] !== undefined)) {
+    return { valid: true, reason: null };
+  }
+
+  if (!doc.broker_signature) return { valid: false, reason: "broker fields without broker_signature" };
+  if (doc.broker_key_version === undefined || doc.broker_key_version === null) {
+    return { valid: false, reason: "missing broker_key_version" };
+  }
+  const broker = doc.broker_id ?? doc.ingester_id;
+  const { key, reason: keyReason } = await lookupTrustKey(trustDb, broker, doc.broker_key_version);
+  if (!key) return { valid: false, reason: `broker ${broker}: ${keyReason}` };
+  if (!isKeyUsable(key)) {
+    return { valid: false, reason: `broker ${broker} key_version ${doc.broker_key_version} is ${effectiveKeyStatus(key)}` };
+  }
+  if (!verifyEd25519(key.public_key, brokerStatement(doc), doc.broker_signature)) {
+    return { valid: false, reason: "invalid broker signature" };
+  }
+  return { valid: true, reason: null };
+}
+
+// verifySignedDocument(), also reporting whether the signature covers the
+// whole document (all but SERVICE_FIELDS)
+async function verifyDocumentSignature(trustDb, doc, unsigned) {
+  if (!doc?.signature) return { valid: false, reason: "missing signature" };
+  if (doc.key_version === undefined || doc.key_version === null) {
+    return { valid: false, reason: "missing key_version" };
+  }
+  const { key, reason } = await lookupTrustKey(trustDb, doc.ingester_id, doc.key_version);
+  if (!key) return { valid: false, reason };
+  if (!isKeyUsable(key)) {
+    return { valid: false, reason: `key_version ${doc.key_version} is ${effectiveKeyStatus(key)}` };
+  }
+  if (verifyEd25519(key.public_key, canonicalize(signedPayload(doc, unsigned)), doc.signature)) {
+    return { valid: true, reason: null, whole: unsigned === SERVICE_FIELDS };
+  }
+  if (unsigned !== SERVICE_FIELDS &&
+    verifyEd25519(key.public_key, canonicalize(signedPayload(doc, SERVICE_FIELDS)), doc.signature)) {
+    return { valid: true, reason: null, whole: true };
+  }
+  return { valid: false, reason: "invalid signature" };
+}
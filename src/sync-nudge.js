@@ -0,0 +1,39 @@
+/**
+ * Write-free replication nudge.
+ *
+ * OrbitDB exchanges heads with a peer when it joins a database's pubsub
+ * topic, and publishes a new head on every write. When that exchange is
+ * missed (gossipsub mesh not yet formed, stream reset), a peer stays
+ * behind until the next write. Stations used to force one by writing a
+ * `__sync__` marker document, which appended a permanent oplog entry on
+ * every station each time.
+ *
+ * announceHeads() instead re-publishes the database's current heads on
+ * its pubsub topic, exactly as a write would — every subscriber receives
+ * them and fetches whatever it is missing — without appending anything.
+ * Peers that already have the heads ignore them.
+ *
+ * Markers written by stations running older versions stay in the oplog
+ * until they age out of the TTL, so validation.js still accepts them and
+ * routes still skip `__`-prefixed ids.
+ */
+
+/**
+ * Publish `db`'s current heads to the database's subscribers.
+ *
+ * @param {object} db - OrbitDB database
+ * @returns {Promise<number>} heads published
+ */
+export async function announceHeads(db) {
+  if (typeof db.sync?.add !== "function") return 0;
+  const heads = await db.log.heads();
+  let published = 0;
+  for (const head of heads) {
+    // sync.add publishes the encoded entry; heads decoded from the log
+    // carry their bytes
+    if (!head?.bytes) continue;
+    await db.sync.add(head);
+    published++;
+  }
+  return published;
+}
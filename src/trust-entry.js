@@ -0,0 +1,213 @@
+/**
+ * Authority over wesense.trust entries.
+ *
+ * A trust entry says which public keys may sign for an ingester, so an
+ * entry any peer could write would let that peer vouch for its own key.
+ * Every entry therefore carries proof that an authority approved it:
+ *
+ *   - `authority` — {peer_id, signature, custody_length}: a station listed
+ *     in TRUST_AUTHORITIES (index.js) signed trustEntryStatement() with its
+ *     libp2p peer key; the peer ID embeds the public key
+ *   - `approval`  — under governance, the admin quorum's signatures over
+ *     the entry's digest instead (governance.js)
+ *
+ * Key rotation (routes/trust.js) is authorised by the ingester's previous
+ * key, not by an authority, so it must not void the authority's signature.
+ * Each custody link records what it changed; authorizedBase() undoes the
+ * links added after the authority signed (`custody_length`), replays them
+ * to check they account for every difference, and returns the entry as
+ * the authority saw it. Any other change to `versions`, `operator` or the
+ * earlier custody chain breaks the signature.
+ *
+ * `updated_at` is set by whichever station writes the entry, so it can't
+ * say which of two signed entries is newer. Each authority-signed (or
+ * approved) change instead carries a `sequence` one above the entry it
+ * replaces, and checkTrustFreshness() refuses an entry older than the one
+ * a station holds — a replayed copy of an entry from before a revocation.
+ * Rotations keep the sequence and add a custody link, so freshness is the
+ * sequence, then the length of the custody chain.
+ */
+
+import { createHash } from "node:crypto";
+import { peerIdFromString } from "@libp2p/peer-id";
+import { canonicalize } from "./signing.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields outside the authority's signature — set by the service, or the
+// proof itself.
+const UNSIGNED_ENTRY_FIELDS = new Set(["_id", "updated_at", "authority", "approval"]);
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * The part of a trust entry an authority signs. An empty custody chain
+ * counts as none.
+ */
+export function trustEntryPayload(doc) {
+  const payload = {};
+  for (const [key, value] of Object.entries(doc || {})) {
+    if (!UNSIGNED_ENTRY_FIELDS.has(key)) payload[key] = value;
+  }
+  if (Array.isArray(payload.custody) && payload.custody.length === 0) delete payload.custody;
+  return payload;
+}
+
+/**
+ * The statement a trust authority signs for an entry.
+ */
+export function trustEntryStatement(doc) {
+  return canonicalize({ type: "wesense.trust_entry", entry: trustEntryPayload(doc) });
+}
+
+/**
+ * SHA-256 (hex) of trustEntryStatement() — what governance admins approve.
+ */
+export function trustEntryDigest(doc) {
+  return createHash("sha256").update(trustEntryStatement(doc)).digest("hex");
+}
+
+/**
+ * Apply a custody link to a versions map: add the rotated-in version and,
+ * if asked, start retiring the version that signed it. The rotate route
+ * and authorizedBase() both build rotations with this, so they agree.
+ */
+export function applyRotation(versions, link) {
+  const out = { ...versions };
+  out[link.key_version] = {
+    public_key: link.public_key,
+    status: "active",
+    added: link.rotated_at,
+    signed_by: link.signed_by,
+  };
+  if (link.retire_previous) {
+    out[link.signed_by] = {
+      ...out[link.signed_by],
+      status: "retiring",
+      retire_after: new Date(new Date(link.rotated_at).getTime() + link.grace_days * DAY_MS).toISOString(),
+    };
+  }
+  return out;
+}
+
+// Undo applyRotation() with the previous state recorded in the link
+function revertRotation(versions, link) {
+  const out = { ...versions };
+  delete out[link.key_version];
+  if (link.retire_previous && out[link.signed_by]) {
+    const { retire_after, ...previous } = out[link.signed_by];
+    previous.status = link.previous_status;
+    if (link.previous_retire_after != null) previous.retire_after = link.previous_retire_after;
+    out[link.signed_by] = previous;
+  }
+  return out;
+}
+
+/**
+ * The entry's versions map as it was just before custody link `index` was
+ * applied: that link and every later one undone. Changes made since by
+ * other means, such as a revocation, are kept.
+ */
+export function versionsBeforeLink(doc, index) {
+  let versions = doc.versions;
+  for (const link of doc.custody.slice(index).reverse()) versions = revertRotation(versions, link);
+  return versions;
+}
+
+/**
+ * The entry as it was when the authority signed it, `custodyLength` links
+ * into its custody chain.
+ *
+ * @returns {{base: object} | {error: string}}
+ */
+export function authorizedBase(doc, custodyLength) {
+  const custody = doc.custody ?? [];
+  if (!Array.isArray(custody)) return { error: "invalid custody chain" };
+  if (!Number.isInteger(custodyLength) || custodyLength < 0 || custodyLength > custody.length) {
+    return { error: "invalid custody_length" };
+  }
+  const later = custody.slice(custodyLength);
+  if (later.some((link) => !isPlainObject(link) || typeof link.rotated_at !== "string")) {
+    return { error: "invalid custody link" };
+  }
+  let versions = doc.versions;
+  for (const link of [...later].reverse()) versions = revertRotation(versions, link);
+  let replayed = versions;
+  for (const link of later) replayed = applyRotation(replayed, link);
+  if (canonicalize(replayed) !== canonicalize(doc.versions)) {
+    return { error: "key versions changed outside the custody chain since the authority signed" };
+  }
+  return { base: { ...doc, versions, custody: custody.slice(0, custodyLength) } };
+}
+
+/**
+ * `sequence` for an authority-signed change to `current` (null when the
+ * entry is new). Entries from before sequences were signed count as 0.
+ */
+export function nextTrustSequence(current) {
+  return (current?.sequence ?? 0) + 1;
+}
+
+/**
+ * Refuse `doc` if it is older than `stored`, the entry this station holds
+ * for the same ingester: a lower sequence, or the same sequence with a
+ * shorter custody chain. Returns a reason, or null.
+ *
+ * @param {object} doc
+ * @param {object|null} stored
+ * @returns {string|null}
+ */
+export function checkTrustFreshness(doc, stored) {
+  if (!stored) return null;
+  const sequence = doc.sequence ?? 0;
+  const storedSequence = stored.sequence ?? 0;
+  if (sequence < storedSequence) {
+    return `sequence ${sequence} is older than the stored entry's ${storedSequence}`;
+  }
+  const custody = Array.isArray(doc.custody) ? doc.custody.length : 0;
+  const storedCustody = Array.isArray(stored.custody) ? stored.custody.length : 0;
+  if (sequence === storedSequence && custody < storedCustody) {
+    return "custody chain is shorter than the stored entry's (a rotation would be undone)";
+  }
+  return null;
+}
+
+/**
+ * Sign an entry as a trust authority.
+ *
+ * @param {object} doc - the entry to be written
+ * @param {{peerId: string, sign: (bytes: Uint8Array) => Promise<Uint8Array>}} signer - station peer key
+ * @returns {Promise<object>} the `authority` record
+ */
+export async function signTrustEntry(doc, signer) {
+  const signature = await signer.sign(Buffer.from(trustEntryStatement(doc), "utf-8"));
+  return {
+    peer_id: signer.peerId,
+    signature: Buffer.from(signature).toString("base64"),
+    custody_length: doc.custody?.length ?? 0,
+  };
+}
+
+/**
+ * Check the `authority` record on an entry against the configured
+ * authorities (peer IDs). Returns a reason, or null.
+ *
+ * @param {object} doc
+ * @param {Set<string>} authorities
+ * @returns {Promise<string|null>}
+ */
+export async function checkTrustAuthority(doc, authorities) {
+  const record = doc.authority;
+  if (!isPlainObject(record)) return "missing trust authority signature";
+  if (typeof record.peer_id !== "string" || !authorities.has(record.peer_id)) {
+    return `${record.peer_id} is not a trust authority`;
+  }
+  if (typeof record.signature !== "string") return "invalid trust authority signature";
+  const { base, error } = authorizedBase(doc, record.custody_length);
+  if (error) return error;
+  const { publicKey } = peerIdFromString(record.peer_id);
+  if (!publicKey) return "trust authority peer ID does not embed a public key";
+  const message = Buffer.from(trustEntryStatement(base), "utf-8");
+  const valid = await publicKey.verify(message, Buffer.from(record.signature, "base64"));
+  return valid ? null : "invalid trust authority signature";
+}
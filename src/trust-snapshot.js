@@ -0,0 +1,156 @@
+/**
+ * Station-signed trust list snapshots.
+ *
+ * GET /trust returns the live, unsigned trust list; once a copy is cached
+ * or passed along nobody can tell where it came from. A snapshot wraps the
+ * same TrustStore-format `keys` map with a content hash, a generation
+ * timestamp and an Ed25519 signature by the station's persisted peer key
+ * (DATA_DIR/peer_key), so it can be carried to air-gapped ingesters and
+ * checked there.
+ *
+ *   {
+ *     "format": "wesense.trust-snapshot/1",
+ *     "generated_at": "2026-10-19T12:00:00.000Z",
+ *     "signer": { "peer_id": "12D3KooW...", "public_key": "<base64 raw Ed25519>" },
+ *     "content_hash": "sha256:<hex of canonical keys>",
+ *     "signature": "<base64 over the canonical header>",
+ *     "keys": { "wsi_abc12345": { "1": { "public_key": "...", "status": "active" } } }
+ *   }
+ *
+ * The signature covers every field except `keys` and `signature` itself;
+ * `keys` is bound through content_hash. Verification needs this module and
+ * signing.js (canonical JSON and Ed25519), which import nothing beyond
+ * node built-ins — copy both onto an ingester, side by side, to verify
+ * without the libp2p stack.
+ *
+ * A snapshot is only accepted from a pinned signer: the peer IDs or
+ * public keys of the stations the consumer trusts. Any key can sign a
+ * self-consistent snapshot, so without a pin verification fails.
+ *
+ * CLI: node src/trust-snapshot.js <file> <trusted signer peer ID or public key> [...]
+ */
+
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { canonicalize, verifyEd25519 } from "./signing.js";
+
+export const SNAPSHOT_FORMAT = "wesense.trust-snapshot/1";
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function base58btc(bytes) {
+  let n = BigInt(`0x${Buffer.from(bytes).toString("hex") || "0"}`);
+  let out = "";
+  while (n > 0n) {
+    out = BASE58_ALPHABET[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (const b of bytes) {
+    if (b !== 0) break;
+    out = "1" + out;
+  }
+  return out;
+}
+
+/**
+ * libp2p peer ID of a raw Ed25519 public key: identity multihash of the
+ * protobuf-encoded key, base58btc. Lets a snapshot be pinned to a
+ * station's peer ID (as logged at startup) without trusting the peer_id
+ * field of the snapshot itself.
+ */
+export function peerIdFromEd25519(publicKeyB64) {
+  const raw = Buffer.from(publicKeyB64, "base64");
+  const protobuf = Buffer.concat([Buffer.from([0x08, 0x01, 0x12, raw.length]), raw]);
+  return base58btc(Buffer.concat([Buffer.from([0x00, protobuf.length]), protobuf]));
+}
+
+function contentHash(keys) {
+  return `sha256:${createHash("sha256").update(canonicalize(keys)).digest("hex")}`;
+}
+
+function signedHeader(snapshot) {
+  const { format, generated_at, signer, content_hash } = snapshot;
+  return canonicalize({ format, generated_at, signer, content_hash });
+}
+
+/**
+ * Build and sign a snapshot of a TrustStore-format keys map.
+ *
+ * @param {{keys: object, signer: {peerId: string, publicKey: string, sign: (bytes: Uint8Array) => Promise<Uint8Array>}}} options
+ */
+export async function buildTrustSnapshot({ keys, signer }) {
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    generated_at: new Date().toISOString(),
+    signer: { peer_id: signer.peerId, public_key: signer.publicKey },
+    content_hash: contentHash(keys),
+  };
+  const signature = await signer.sign(Buffer.from(signedHeader(snapshot), "utf-8"));
+  return { ...snapshot, signature: Buffer.from(signature).toString("base64"), keys };
+}
+
+/**
+ * Verify a snapshot. `trustedSigners` (peer IDs or base64 public keys)
+ * pins the stations whose snapshots are accepted, and at least one is
+ * required.
+ *
+ * @param {object} snapshot
+ * @param {{trustedSigners: string[], maxAgeMs?: number}} options
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+export function verifyTrustSnapshot(snapshot, { trustedSigners = [], maxAgeMs } = {}) {
+  if (trustedSigners.length === 0) {
+    return { valid: false, reason: "no trusted signer given — pin a station peer ID or public key" };
+  }
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    return { valid: false, reason: "not a trust snapshot" };
+  }
+  const publicKey = snapshot.signer?.public_key;
+  if (typeof publicKey !== "string") return { valid: false, reason: "missing signer public_key" };
+  if (snapshot.signer.peer_id !== peerIdFromEd25519(publicKey)) {
+    return { valid: false, reason: "signer peer_id does not match public_key" };
+  }
+  if (!trustedSigners.includes(publicKey) && !trustedSigners.includes(snapshot.signer.peer_id)) {
+    return { valid: false, reason: `untrusted signer ${snapshot.signer.peer_id}` };
+  }
+  if (contentHash(snapshot.keys ?? null) !== snapshot.content_hash) {
+    return { valid: false, reason: "content_hash mismatch — keys were modified" };
+  }
+  if (!verifyEd25519(publicKey, signedHeader(snapshot), snapshot.signature)) {
+    return { valid: false, reason: "invalid signature" };
+  }
+  if (maxAgeMs !== undefined) {
+    const age = Date.now() - new Date(snapshot.generated_at).getTime();
+    if (!(age <= maxAgeMs)) return { valid: false, reason: "snapshot is too old" };
+  }
+  return { valid: true, reason: null };
+}
+
+/**
+ * Load a snapshot file and return its keys map. Throws if the file was
+ * tampered with or was not signed by one of `trustedSigners`.
+ */
+export async function loadTrustSnapshot(path, options) {
+  const snapshot = JSON.parse(await readFile(path, "utf-8"));
+  const { valid, reason } = verifyTrustSnapshot(snapshot, options);
+  if (!valid) {
+    throw new Error(`Rejected trust snapshot ${path}: ${reason}`);
+  }
+  return snapshot.keys;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [path, ...trustedSigners] = process.argv.slice(2);
+  if (!path || trustedSigners.length === 0) {
+    console.error("Usage: node src/trust-snapshot.js <file> <trusted signer peer ID or public key> [...]");
+    process.exit(2);
+  }
+  try {
+    const keys = await loadTrustSnapshot(path, { trustedSigners });
+    console.log(`Trust snapshot OK: ${Object.keys(keys).length} ingesters`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * Application-level validation of oplog entries.
+ *
+ * Called by WeSenseAccessController for every entry appended to a
+ * database — our own HTTP writes and entries replicated from peers. An
+ * entry that fails validation is rejected (enforce mode) or logged and
+ * accepted (log mode, see SIGNATURE_MODE in index.js).
+ *
+ * What is checked per database:
+ *   nodes  — document shape (NODE_SCHEMA, schema.js), plus the Ed25519
+ *            signature: against the ingester's key in wesense.trust (and
+ *            storage-broker's over the fields it owns), or for
+ *            self-registered orbitdb-peer records against the libp2p
+ *            peer ID itself
+ *   trust  — document shape of the versions map, every link of the
+ *            key-rotation custody chain (routes/trust.js), and the proof
+ *            that an authority approved the entry (trust-entry.js): the
+ *            signature of a station in TRUST_AUTHORITIES or, in governance
+ *            mode, the quorum approval record, plus the admin signatures
+ *            on proposals (governance.js). All stations must share the
+ *            same TRUST_AUTHORITIES / TRUST_ADMIN_KEYS. An entry older
+ *            than the one already held (its signed `sequence`) is refused,
+ *            so a signed entry can't be replayed over a later revocation
+ *   stores — document shape (STORE_SCHEMA, schema.js) and the Ed25519
+ *            signature of the registering station's key in wesense.trust
+ *   attestations.<period> — document shape, every attestation's
+ *            signature against wesense.trust (consensus.js), that the
+ *            document belongs to the shard's archive period, and that the
+ *            shard is not full (MAX_ARCHIVES_PER_PERIOD,
+ *            attestation-shards.js)
+ *
+ * DEL operations carry only a key, so they can't be signed. They are
+ * authorised by their writer instead: the OrbitDB identity that signed
+ * the entry must be this station's own or one listed in DELETE_WRITERS
+ * (index.js).
+ *
+ * Rejection during replication makes OrbitDB's join fail for that head.
+ * The heads are offered again on the next exchange, so a node record that
+ * arrives before its ingester's trust entry is accepted once wesense.trust
+ * has caught up. A rejected entry also holds back every later entry that
+ * builds on it, so the whole mesh has to be configured before enforcing.
+ * Entries written before signing was rolled out stay unsigned until they
+ * age out of the 30-day oplog TTL — opt in to SIGNATURE_MODE=log until
+ * then; index.js describes the migration.
+ */
+
+import { peerIdFromString } from "@libp2p/peer-id";
+import {
+  SERVICE_FIELDS, canonicalize, signedPayload, verifySignedDocument, verifyNodeDocument, rotationStatement, verifyEd25519,
+  effectiveKeyStatus, wasKeyUsable,
+} from "./signing.js";
+import { PROPOSAL_ACTIONS, PROPOSAL_PREFIX, checkApprovalRecord, validApprovers } from "./governance.js";
+import { createTrustLookup, isArchiveRegion, verifyAttestation } from "./consensus.js";
+import { checkTrustAuthority, checkTrustFreshness, trustEntryDigest, versionsBeforeLink } from "./trust-entry.js";
+import { NODE_SCHEMA, STORE_SCHEMA, validateDocument, formatFieldErrors } from "./schema.js";
+
+const MAX_ID_LENGTH = 256;
+const MAX_PUBLIC_KEY_LENGTH = 512;
+const MAX_VERSIONS = 20;
+const MAX_OPERATOR_LENGTH = 128;
+const MAX_SIGNATURE_LENGTH = 1024;
+const MAX_ATTESTATIONS_PER_ARCHIVE = 100;
+export const MAX_ARCHIVES_PER_PERIOD = 10_000;
+const MAX_PATH_LENGTH = 1024;
+// How far ahead of this station's clock a rotation may be dated
+const MAX_CLOCK_SKEW_MS = 5 * 60_000;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Shape checks shared by every database: a document whose _id matches
+ * the entry key. Returns a reason string, or null if the entry is fine.
+ */
+function checkEnvelope(entry) {
+  const payload = entry?.payload;
+  if (!payload || typeof payload.key !== "string") return "missing key";
+  if (payload.key.length > MAX_ID_LENGTH) return "key too long";
+  if (payload.op === "DEL") return null;
+  if (payload.op !== "PUT") return `unknown op ${payload.op}`;
+  if (!isPlainObject(payload.value)) return "value is not a document";
+  if (payload.value._id !== payload.key) return "_id does not match entry key";
+  return null;
+}
+
+// Replication sync markers written by triggerSync on stations predating
+// sync-nudge.js — still replicating until they age out of the oplog TTL.
+const isSyncMarker = (doc) => doc._id === "__sync__" && doc.type === "replication_trigger";
+
+/**
+ * Verify an orbitdb-peer self-registration. These are signed by the
+ * station's libp2p key, and the record's ingester_id IS the peer ID, so
+ * the public key comes from the ID itself — no trust entry needed.
+ */
+async function verifyPeerRecord(doc) {
+  if (!doc.signature) return "missing signature";
+  if (doc._id !== doc.ingester_id) return "_id does not match ingester_id";
+  let peerId;
+  try {
+    peerId = peerIdFromString(doc.ingester_id);
+  } catch {
+    return "ingester_id is not a libp2p peer ID";
+  }
+  if (!peerId.publicKey) return "peer ID does not embed a public key";
+  // The peer signs its whole record; no broker maintains any of it
+  const message = Buffer.from(canonicalize(signedPayload(doc, SERVICE_FIELDS)), "utf-8");
+  const valid = await peerId.publicKey.verify(message, Buffer.from(doc.signature, "base64"));
+  return valid ? null : "invalid signature";
+}
+
+async function checkNode(doc, getTrustDb) {
+  if (isSyncMarker(doc)) return null;
+  if (typeof doc.ingester_id !== "string") return "missing ingester_id";
+  const { errors } = validateDocument(NODE_SCHEMA, doc);
+  if (errors.length > 0) return `invalid fields: ${formatFieldErrors(errors)}`;
+  if (doc.type === "orbitdb-peer") return verifyPeerRecord(doc);
+  const { valid, reason } = await verifyNodeDocument(getTrustDb(), doc);
+  return valid ? null : reason;
+}
+
+const isTimestamp = (v) => typeof v === "string" && !Number.isNaN(new Date(v).getTime());
+
+// Proposals are listed and sorted by every station, so their shape is
+// checked like any entry; the proposed document must match its digest.
+function checkProposal(doc, governance) {
+  if (doc.type !== "trust_proposal" || typeof doc.ingester_id !== "string") return "invalid proposal";
+  if (!PROPOSAL_ACTIONS.includes(doc.action) || !isPlainObject(doc.params)) return "invalid proposal action";
+  if (!isTimestamp(doc.proposed_at) || !isTimestamp(doc.expires_at)) return "invalid proposal timestamps";
+  if (!isPlainObject(doc.document) || doc.document.ingester_id !== doc.ingester_id) return "invalid proposed document";
+  if (trustEntryDigest(doc.document) !== doc.document_digest) return "proposed document does not match its digest";
+  if (!Array.isArray(doc.approvals)) return "invalid proposal approvals";
+  if (governance && validApprovers(doc, governance).length !== doc.approvals.length) {
+    return "proposal carries an invalid approval";
+  }
+  return null;
+}
+
+/**
+ * Check a trust entry (or governance proposal) as every peer will when it
+ * replicates. Exported so routes/trust.js can refuse a write up front
+ * rather than have the access controller reject it.
+ *
+ * @param {object} doc
+ * @param {{governance?: object|null, authorities: Set<string>, trustDb?: object|null}} options
+ *   trustDb — wesense.trust, for the entry held now (checkTrustFreshness())
+ * @returns {Promise<string|null>} reason, or null if the entry is fine
+ */
+export async function checkTrust(doc, { governance = null, authorities, trustDb = null }) {
+  if (isSyncMarker(doc)) return null;
+  if (doc._id.startsWith(PROPOSAL_PREFIX)) return checkProposal(doc, governance);
+  if (typeof doc.ingester_id !== "string") return "missing ingester_id";
+  if (!isPlainObject(doc.versions)) return "missing versions";
+  if (doc.sequence !== undefined && (!Number.isSafeInteger(doc.sequence) || doc.sequence < 0)) {
+    return "invalid sequence";
+  }
+  if (doc.operator != null && (typeof doc.operator !== "string" || doc.operator.length > MAX_OPERATOR_LENGTH)) {
+    return "invalid operator";
+  }
+  const versions = Object.entries(doc.versions);
+  if (versions.length > MAX_VERSIONS) return "too many key versions";
+  for (const [ver, key] of versions) {
+    if (!isPlainObject(key)) return `version ${ver} is not an object`;
+    if (typeof key.public_key !== "string" || key.public_key.length > MAX_PUBLIC_KEY_LENGTH) {
+      return `version ${ver} has an invalid public_key`;
+    }
+    if (typeof key.status !== "string") return `version ${ver} has no status`;
+  }
+  // Links up to custody_length were in the entry the authority signed
+  const record = governance ? doc.approval : doc.authority;
+  const reason = checkCustody(doc, Number.isInteger(record?.custody_length) ? record.custody_length : 0);
+  if (reason) return reason;
+  const unauthorised = governance ? checkApprovalRecord(doc, governance) : await checkTrustAuthority(doc, authorities);
+  if (unauthorised || !trustDb) return unauthorised;
+  const stored = await trustDb.get(doc._id);
+  return checkTrustFreshness(doc, stored?.[0]?.value ?? null);
+}
+
+/**
+ * Re-verify each rotation in the custody chain: the new version's key must
+ * match the entry and the rotation must be signed by the version it names,
+ * while that version could sign. Every version that claims to be rotated
+ * in (`signed_by`) needs its link. Versions without one are only valid if
+ * the authority signed them, which checkTrust() checks next — nothing else
+ * can add a version.
+ *
+ * Links are dated (`rotated_at`, covered by the signature) no later than
+ * now and in order. The signer is judged as it was at that date, before
+ * the link retired it, so revoking an old key after rotating away from it
+ * leaves the rotation valid. Links after the first `endorsed` were added
+ * since the authority signed; a revocation it signed is final for those,
+ * whatever date they claim.
+ */
+function checkCustody(doc, endorsed) {
+  const custody = doc.custody ?? [];
+  if (!Array.isArray(custody) || custody.length > MAX_VERSIONS) return "invalid custody chain";
+  let previousAt = -Infinity;
+  for (const link of custody) {
+    if (!isPlainObject(link)) return "invalid custody link";
+    const at = isTimestamp(link.rotated_at) ? new Date(link.rotated_at).getTime() : NaN;
+    if (Number.isNaN(at)) return `custody link for version ${link.key_version} has an invalid rotated_at`;
+    if (at > Date.now() + MAX_CLOCK_SKEW_MS) return `custody link for version ${link.key_version} is dated in the future`;
+    if (at < previousAt) return `custody link for version ${link.key_version} is dated before the previous link`;
+    previousAt = at;
+  }
+  const linked = new Set();
+  for (const [index, link] of custody.entries()) {
+    const added = doc.versions[link.key_version];
+    const signer = doc.versions[link.signed_by];
+    if (!added || !signer) return `custody link for version ${link.key_version} names a missing version`;
+    if (linked.has(String(link.key_version))) return `version ${link.key_version} has more than one custody link`;
+    linked.add(String(link.key_version));
+    if (added.public_key !== link.public_key) {
+      return `version ${link.key_version} public_key does not match its custody link`;
+    }
+    const signerThen = versionsBeforeLink(doc, index)[link.signed_by];
+    const at = new Date(link.rotated_at).getTime();
+    if (!signerThen || !wasKeyUsable(signerThen, at) || (index >= endorsed && signerThen.status === "revoked")) {
+      return `custody link for version ${link.key_version} was signed by version ${link.signed_by} ` +
+        `while it was ${signerThen ? effectiveKeyStatus(signerThen, at) : "missing"}`;
+    }
+    const statement = rotationStatement({ ingester_id: doc.ingester_id, ...link });
+    if (!verifyEd25519(signer.public_key, statement, link.signature)) {
+      return `custody link for version ${link.key_version} has an invalid signature`;
+    }
+  }
+  for (const [ver, key] of Object.entries(doc.versions)) {
+    if (key.signed_by !== undefined && !linked.has(ver)) return `version ${ver} has no custody link`;
+  }
+  return null;
+}
+
+async function checkStore(doc, getTrustDb) {
+  if (typeof doc.store_id !== "string") return "missing store_id";
+  const { errors } = validateDocument(STORE_SCHEMA, doc);
+  if (errors.length > 0) return `invalid fields: ${formatFieldErrors(errors)}`;
+  if (typeof doc.ingester_id !== "string") return "missing ingester_id";
+  const { valid, reason } = await verifySignedDocument(getTrustDb(), doc, SERVICE_FIELDS);
+  return valid ? null : reason;
+}
+
+// An attestation document lives in the shard for its archive period, so a
+// peer can't grow a closed or future period through an open one, and a
+// shard holds at most MAX_ARCHIVES_PER_PERIOD archives. `archives` holds
+// the ids the shard has; accepted new ones are added to it. Every
+// attestation must verify (verifyAttestation(), consensus.js), so only
+// verified ones take up the per-archive and per-period caps.
+async function checkAttestation(doc, period, archives, lookup) {
+  if (doc.manifest_hash !== doc._id) return "manifest_hash does not match _id";
+  if (doc.period !== period) return `period ${doc.period} does not belong in shard ${period}`;
+  if (!Array.isArray(doc.attestations)) return "missing attestations";
+  if (doc.attestations.length > MAX_ATTESTATIONS_PER_ARCHIVE) return "too many attestations";
+  for (const a of doc.attestations) {
+    if (!isPlainObject(a) || typeof a.ingester_id !== "string" || a.ingester_id.length > MAX_ID_LENGTH) {
+      return "attestation has an invalid ingester_id";
+    }
+    if (typeof a.signature !== "string" || a.signature.length > MAX_SIGNATURE_LENGTH) {
+      return `attestation by ${a.ingester_id} has an invalid signature`;
+    }
+    if (a.key_version != null && typeof a.key_version !== "string" && typeof a.key_version !== "number") {
+      return `attestation by ${a.ingester_id} has an invalid key_version`;
+    }
+  }
+  if (doc.region != null && !isArchiveRegion(doc.region)) return "invalid region";
+  for (const field of ["iroh_blake3_hash", "path"]) {
+    const value = doc[field];
+    if (value != null && (typeof value !== "string" || value.length > MAX_PATH_LENGTH)) {
+      return `invalid ${field}`;
+    }
+  }
+  for (const a of doc.attestations) {
+    // attested_at may run ahead of our clock by as much as the writer's
+    const { reason } = await verifyAttestation(lookup, doc, a, Date.now() + MAX_CLOCK_SKEW_MS);
+    if (reason) return `attestation by ${a.ingester_id} does not verify: ${reason}`;
+  }
+  if (!archives.has(doc._id)) {
+    if (archives.size >= MAX_ARCHIVES_PER_PERIOD) return `period ${period} is full`;
+    archives.add(doc._id);
+  }
+  return null;
+}
+
+// A DEL is accepted from the writers allowed to delete. `writer` resolves
+// the verified OrbitDB identity that signed the entry, or null.
+async function checkDeletion(writer, deleteWriters) {
+  const identity = await writer();
+  if (!identity) return "deletion by an unverifiable writer";
+  return deleteWriters.has(identity.id) ? null : `deletion by ${identity.id}, which is not in DELETE_WRITERS`;
+}
+
+/**
+ * Build the per-database entry validators passed to WeSenseAccessController.
+ *
+ * @param {{getTrustDb: () => object, signatureMode: "enforce"|"log", governance?: object|null,
+ *   authorities: Set<string>, deleteWriters: Set<string>}} options
+ *   authorities — peer IDs of the stations that may sign trust entries
+ *   deleteWriters — OrbitDB identity ids allowed to delete documents
+ * @returns {{nodes: Function, trust: Function, stores: Function,
+ *   attestations: (period: string, archives: Set<string>) => Function}}
+ *   attestations — archives: the ids already in the shard (see checkAttestation)
+ */
+export function createEntryValidators({ getTrustDb, signatureMode, governance = null, authorities, deleteWriters }) {
+  const wrap = (name, check) => async (entry, writer) => {
+    let reason;
+    try {
+      reason = checkEnvelope(entry);
+      if (!reason && entry.payload.op === "PUT") {
+        reason = await check(entry.payload.value);
+      } else if (!reason) {
+        reason = await checkDeletion(writer, deleteWriters);
+      }
+    } catch (err) {
+      reason = `validation error: ${err.message}`;
+    }
+    if (!reason) return true;
+    const key = entry?.payload?.key;
+    if (signatureMode === "log") {
+      console.warn(`[${name}] Entry for ${key} failed validation (${reason}) — accepted (SIGNATURE_MODE=log)`);
+      return true;
+    }
+    console.warn(`[${name}] Rejected entry for ${key}: ${reason}`);
+    return false;
+  };
+
+  return {
+    nodes: wrap("nodes", (doc) => checkNode(doc, getTrustDb)),
+    trust: wrap("trust", (doc) => checkTrust(doc, { governance, authorities, trustDb: getTrustDb() })),
+    stores: wrap("stores", (doc) => checkStore(doc, getTrustDb)),
+    attestations: (period, archives) => wrap(`attestations.${period}`, (doc) =>
+      checkAttestation(doc, period, archives, createTrustLookup(getTrustDb(), { governance, authorities }))),
+  };
+}